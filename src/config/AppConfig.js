@@ -11,6 +11,9 @@ class AppConfig {
 
       // Google Doc containing email templates
       templateDocumentId: "INSERT_TEMPLATE_DOC_ID",
+      // Templates kept as Markdown / HTML files in Drive instead of a Doc tab, by template name:
+      // { Weekly_Digest: { type: "markdown", fileId: "<Drive file ID>" } } (type "html", or omitted = from the file extension)
+      templateSources: {},
 
       // Spreadsheet containing recipient directory
       directorySheetId: "INSERT_DIRECTORY_SHEET_ID",
@@ -27,15 +30,63 @@ class AppConfig {
       linkKeyColumn: "Link_Key",
       linkUrlColumn: "Target_URL",
 
+      // Variables tab ({{VAR:Key}}): owner-editable values, global or per template, with optional validity dates
+      variablesSheetId: "",        // Empty = use linkRepositorySheetId
+      variablesTabName: "Variables",
+      variableKeyColumn: "Key",
+      variableValueColumn: "Value", // Text, or CELL:'Tab'!B2 / NAMED:Range_Name read at send time
+      variableScopeColumn: "Scope", // Empty / Global, or template names (comma-separated)
+      variableValidFromColumn: "Valid_From",
+      variableValidToColumn: "Valid_To",
+
+      // Holiday calendar (business-day date tokens, e.g. {{DATE:Today+3bd}})
+      holidaySheetId: "",          // Empty = use directorySheetId
+      holidayTabName: "Holidays",
+      holidayDateColumn: "Date",
+      holidayCountryColumn: "Country",
+      holidayNameColumn: "Name",
+      holidayCountry: "",          // e.g. "MY" or "MY,SG"; empty = every row
+      weekendDays: [0, 6],         // 0 = Sunday ... 6 = Saturday
+
+      // Fiscal calendar ({{FISCAL_QUARTER}}, {{FISCAL_YEAR}}): 1 = January ... 12 = December
+      fiscalYearStartMonth: 1,
+
+      // Time zones: default for date/time tokens (IANA name or alias; empty = script time zone,
+      // and {{TIME}} keeps its original "HH:mm MYT" output)
+      defaultTimeZone: "",
+      // Extra aliases, e.g. { SYD: { zone: "Australia/Sydney", label: "AEST" } } -> {{TIME:SYD}}
+      timeZoneAliases: {},
+
       // Branding / assets
       logoFileId: "INSERT_LOGO_FILE_ID",
+      logoAltText: "Company logo",
       signatureTemplateTab: "Signature_Template",
 
       // System Logging
       logsTabName: "System_Logs",
 
+      // Template snapshots (hash + text of each template version, see diffTemplateSnapshot)
+      snapshotSheetId: "",         // Empty = snapshots are not recorded
+      snapshotsTabName: "Template_Snapshots",
+
       // Action: "DRAFT" (default) or "SEND"
-      emailAction: "DRAFT"
+      emailAction: "DRAFT",
+
+      // [ATTACHMENTS] section: total size limit (Gmail allows 25MB per message)
+      maxAttachmentBytes: 25 * 1024 * 1024,
+
+      // [PRIORITY] section: Gmail has no priority header, so High/Low are marked in the subject
+      priorityPrefixes: { HIGH: "[HIGH PRIORITY] ", NORMAL: "", LOW: "[LOW PRIORITY] " },
+
+      // [Table] layout: "fixed" (sheet widths), "responsive", "cards" or "minimal".
+      // Overridden per template by a [TABLE_MODE] section and per table by mode: on the tag
+      tableRenderMode: "fixed",
+
+      // [Table] size: tables longer than this show the first rows and a link to the sheet (0 = no limit)
+      maxTableRows: 0,
+      // Read [Table] ranges in one request with the Sheets advanced service
+      // (enable "Google Sheets API" under Services first). Faster for large ranges.
+      useSheetsAdvancedService: false
     };
 
     this.settings = { ...DEFAULTS, ...overrides };
@@ -43,6 +94,7 @@ class AppConfig {
 
   // Template source
   get templateDocumentId() { return this.settings.templateDocumentId; }
+  get templateSources() { return this.settings.templateSources; }
 
   // Recipient directory
   get directorySheetId() { return this.settings.directorySheetId; }
@@ -57,11 +109,44 @@ class AppConfig {
   get linkKeyColumn() { return this.settings.linkKeyColumn; }
   get linkUrlColumn() { return this.settings.linkUrlColumn; }
 
+  // Variables tab
+  get variablesSheetId() { return this.settings.variablesSheetId || this.settings.linkRepositorySheetId; }
+  get variablesTabName() { return this.settings.variablesTabName; }
+  get variableKeyColumn() { return this.settings.variableKeyColumn; }
+  get variableValueColumn() { return this.settings.variableValueColumn; }
+  get variableScopeColumn() { return this.settings.variableScopeColumn; }
+  get variableValidFromColumn() { return this.settings.variableValidFromColumn; }
+  get variableValidToColumn() { return this.settings.variableValidToColumn; }
+
+  // Holiday calendar
+  get holidaySheetId() { return this.settings.holidaySheetId || this.settings.directorySheetId; }
+  get holidayTabName() { return this.settings.holidayTabName; }
+  get holidayDateColumn() { return this.settings.holidayDateColumn; }
+  get holidayCountryColumn() { return this.settings.holidayCountryColumn; }
+  get holidayNameColumn() { return this.settings.holidayNameColumn; }
+  get holidayCountry() { return this.settings.holidayCountry; }
+  get weekendDays() { return this.settings.weekendDays; }
+
+  // Fiscal calendar
+  get fiscalYearStartMonth() { return this.settings.fiscalYearStartMonth; }
+
+  // Time zones
+  get defaultTimeZone() { return this.settings.defaultTimeZone; }
+  get timeZoneAliases() { return this.settings.timeZoneAliases; }
+
   // Branding / assets
   get logoFileId() { return this.settings.logoFileId; }
+  get logoAltText() { return this.settings.logoAltText; }
   get signatureTemplateTab() { return this.settings.signatureTemplateTab; }
   get logsTabName() { return this.settings.logsTabName; }
+  get snapshotSheetId() { return this.settings.snapshotSheetId; }
+  get snapshotsTabName() { return this.settings.snapshotsTabName; }
   get emailAction() { return this.settings.emailAction; }
+  get priorityPrefixes() { return this.settings.priorityPrefixes; }
+  get maxAttachmentBytes() { return this.settings.maxAttachmentBytes; }
+  get tableRenderMode() { return this.settings.tableRenderMode; }
+  get maxTableRows() { return this.settings.maxTableRows; }
+  get useSheetsAdvancedService() { return this.settings.useSheetsAdvancedService; }
 
   // ==========================================
   // BACKWARD COMPATIBILITY ALIASES (Lib_Config naming)
@@ -133,6 +218,32 @@ function validateConfig(config) {
   if (!config.linkKeyColumn) errors.push("linkKeyColumn is empty");
   if (!config.linkUrlColumn) errors.push("linkUrlColumn is empty");
 
+  // Validate template sources (Doc tabs need no entry)
+  Object.keys(config.templateSources || {}).forEach(name => {
+    const source = config.templateSources[name] || {};
+    if (source.type && !Object.prototype.hasOwnProperty.call(TEMPLATE_SOURCES, String(source.type).toLowerCase())) {
+      errors.push(`templateSources.${name}: unknown type "${source.type}"`);
+    }
+    if (String(source.type || "").toLowerCase() !== "doc" && !source.fileId) {
+      errors.push(`templateSources.${name}: fileId is not set`);
+    }
+  });
+
+  // Validate table render mode
+  if (!isTableRenderMode_(config.tableRenderMode)) {
+    errors.push(`tableRenderMode must be one of: ${Object.keys(TABLE_RENDER_MODES).join(", ")}`);
+  }
+
+  if (!Number.isInteger(config.maxTableRows) || config.maxTableRows < 0) {
+    errors.push("maxTableRows must be a whole number (0 = no limit)");
+  }
+
+  // Validate fiscal year start month
+  const fiscalStart = config.fiscalYearStartMonth;
+  if (!Number.isInteger(fiscalStart) || fiscalStart < 1 || fiscalStart > 12) {
+    errors.push("fiscalYearStartMonth must be a month number between 1 and 12");
+  }
+
   // Validate tag columns is an array with at least one element
   if (!config.recipientTagColumns || !Array.isArray(config.recipientTagColumns) || config.recipientTagColumns.length === 0) {
     errors.push("recipientTagColumns must be a non-empty array");
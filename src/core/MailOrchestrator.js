@@ -7,7 +7,11 @@
  * Orchestrates the report generation.
  * @param {string} templateTabName - The tab in the Doc.
  * @param {Object} [userOverrides] - Optional dictionary (e.g., { templateDocumentId: "...", dryRun: true, testMode: true })
- * @return {Object} Execution result { success: boolean, draftId: string|null, simulation: object|null }
+ * @param {Object} [userOverrides.variables] - Template variables, e.g. { REGION: "APAC" } fills {{REGION}}
+ * @param {Function} [userOverrides.variablesProvider] - Hook (templateName, config) => variables; `variables` wins on conflicts
+ * @param {boolean} [userOverrides.strict] - Abort before touching Gmail if any token, link, table or block failed to render
+ * @return {Object} Execution result { success: boolean, draftId: string|null, simulation: object|null, unresolvedVariables: string[],
+ *   renderReport: Object[] ({ token, location, reason }) }
  */
 function generateEmailDraft(templateTabName, userOverrides = {}) {
   const startTime = Date.now();
@@ -15,16 +19,27 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
   // Extract mode flags before merging with config
   const dryRun = userOverrides.dryRun === true;
   const testMode = userOverrides.testMode === true;
+  const strict = userOverrides.strict === true;
+  const variables = userOverrides.variables || {};
+  const variablesProvider = userOverrides.variablesProvider || null;
 
-  // Remove mode flags from overrides before creating config
+  // Remove mode flags and template variables from overrides before creating config
   const cleanOverrides = { ...userOverrides };
   delete cleanOverrides.dryRun;
   delete cleanOverrides.testMode;
+  delete cleanOverrides.strict;
+  delete cleanOverrides.variables;
+  delete cleanOverrides.variablesProvider;
 
   // 1. INITIALIZE CONFIGURATION
   // This merges your Master Defaults with any User Overrides automatically.
   const config = new AppConfig(cleanOverrides);
 
+  // Shared by subject, body, recipients and signature (variables + unresolved token tracking)
+  // Variables tab rows are filtered by scope and validity for this template
+  const sheetVariables = selectTemplateVariables_(loadVariableRepository(config), templateTabName, config);
+  const renderContext = createRenderContext_(templateTabName, config, variables, variablesProvider, sheetVariables);
+
   // Log mode status
   if (dryRun) {
     Log.info("MailOrchestrator", "🧪 DRY RUN MODE: No drafts will be created");
@@ -35,11 +50,11 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
 
   // Enhancement 6.1: Structured Logging
   Log.info("MailOrchestrator", `Starting Report Generation for: "${templateTabName}"`);
-  Log.info("MailOrchestrator", `Doc Source: ${config.templateDocumentId}`);
+  Log.info("MailOrchestrator", `Template Source: ${describeTemplateSource_(resolveTemplateSource_(templateTabName, config.templateDocumentId, config))}`);
 
   // 2. FETCH TEMPLATE
   // Pass the ID explicitly from the Config object
-  const template = fetchTemplate(templateTabName, config.templateDocumentId);
+  const template = fetchTemplate(templateTabName, config.templateDocumentId, renderContext);
   if (!template) {
     Log.error("MailOrchestrator", `Runner Stopped: Template '${templateTabName}' returned null.`);
 
@@ -52,52 +67,98 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       duration: duration
     });
 
-    return { success: false, draftId: null, simulation: null };
+    return { success: false, draftId: null, simulation: null, unresolvedVariables: [], renderReport: [] };
   }
 
+  Log.info("MailOrchestrator", `Template hash: ${template.contentHash}`);
+
   // ============================================================
   // 🧠 STEP 2.5: CMS LINK PARSING
   // ============================================================
   // 1. Fetch the Link Map (Pass the full config object)
   const linkMap = loadLinkRepository(config);
   // 2. Resolve $LINK...$ tags in the body
-  const processedBody = injectManagedLinks(template.body, linkMap);
+  const processedBody = injectManagedLinks(template.body, linkMap, { ...renderContext, section: "BODY" });
 
-  // ============================================================
-  // 3. RESOLVE RECIPIENTS & SIGNATURE
-  const toKeys = parseRecipientKeys(template.to);
-  const ccKeys = parseRecipientKeys(template.cc);
+  // Pass 'config' to Signature Helper (rendered with the body, so strict mode sees its issues too)
+  const sigObj = generateUserSignature(config, renderContext);
+  // Combine processed body + Signature
+  const finalHtmlBody = processedBody + "<br><br>" + sigObj.html;
 
-  // Pass 'config' as the first argument to Distro Helper
-  let recipientsTo = toKeys.length > 0 ? resolveRecipients(config, ...toKeys).join(",") : "";
-  let recipientsCc = ccKeys.length > 0 ? resolveRecipients(config, ...ccKeys).join(",") : "";
+  // Generate plaintext version for accessibility (P1 §3.1 fix)
+  const plainTextBody = htmlToPlainText_(finalHtmlBody);
+
+  const unresolvedVariables = renderContext.unresolved;
+  if (unresolvedVariables.length > 0) {
+    Log.warn("MailOrchestrator", `Unresolved template variables: ${unresolvedVariables.join(", ")}`);
+  }
+
+  // Every token, link, table or block that failed (returned and logged in all modes)
+  const renderReport = renderContext.renderReport;
+  if (renderReport.length > 0) {
+    Log.warn("MailOrchestrator", `Render report: ${formatRenderReport_(renderReport)}`);
+  }
+
+  // STRICT MODE: stop before recipients, attachments or Gmail are touched (not even a dry-run lookup)
+  if (strict && renderReport.length > 0) {
+    return stopStrictRun_(templateTabName, template, renderContext, { dryRun, testMode, duration: Date.now() - startTime });
+  }
+
+  // ============================================================
+  // 3. RESOLVE RECIPIENTS & ATTACHMENTS
+  // [TO], [CC], [BCC], [REPLY_TO] tags via the directory, [FROM] checked against Gmail aliases
+  const addresses = resolveTemplateAddresses(config, template, renderContext);
+  let recipientsTo = addresses.to;
+  let recipientsCc = addresses.cc;
 
   // TEST MODE: Override recipients to current user only
   const currentUserEmail = Session.getActiveUser().getEmail();
   if (testMode) {
     const originalTo = recipientsTo;
-    const originalCc = recipientsCc;
     recipientsTo = currentUserEmail;
     recipientsCc = "";
-    Log.warn("MailOrchestrator", `TEST MODE: Recipients overridden from "${originalTo}" to "${recipientsTo}"`);
+    addresses.cc = "";
+    addresses.bcc = "";
+    Log.warn("MailOrchestrator", `TEST MODE: Recipients overridden from "${originalTo}" to "${recipientsTo}" (CC/BCC cleared)`);
   }
 
-  // Pass 'config' to Signature Helper
-  const sigObj = generateUserSignature(config);
-  // Combine processed body + Signature
-  const finalHtmlBody = processedBody + "<br><br>" + sigObj.html;
+  // [ATTACHMENTS]: resolved on every run so recycled drafts get fresh exports;
+  // dry runs only parse and list the specs (no Drive reads or sheet exports)
+  const attachmentContext = { ...renderContext, section: "ATTACHMENTS" };
+  const attachments = dryRun
+    ? { blobs: [], ...listAttachments(template.attachments, attachmentContext) }
+    : resolveAttachments(config, template.attachments, attachmentContext);
+  if (attachments.errors.length > 0) {
+    Log.warn("MailOrchestrator", `Skipped attachments: ${attachments.errors.join("; ")}`);
+  }
 
-  // Generate plaintext version for accessibility (P1 §3.1 fix)
-  const plainTextBody = htmlToPlainText_(finalHtmlBody);
+  // STRICT MODE: a dropped [FROM] address or failed attachment stops the run before Gmail is touched
+  if (strict && renderReport.length > 0) {
+    return stopStrictRun_(templateTabName, template, renderContext, { dryRun, testMode, duration: Date.now() - startTime, recipientsTo });
+  }
+
+  // [PRIORITY] is shown in the subject of new drafts; draft/thread lookups keep using the template subject
+  const emailSubject = applyPriorityPrefix_(template.subject, template.priority, config);
+
+  // Shared by update / reply / create: recipients, sender, attachments and cid: images
+  const draftOptions = buildDraftOptions_(finalHtmlBody, addresses, attachments.blobs, renderContext.inlineImages);
 
   // DRY RUN: Log simulation and return early
   if (dryRun) {
     const simulation = {
       templateName: templateTabName,
-      subject: template.subject,
+      subject: emailSubject,
+      preheader: template.preheader,
       recipientsTo: recipientsTo,
       recipientsCc: recipientsCc,
-      bodyPreview: finalHtmlBody.substring(0, 200) + "...",
+      recipientsBcc: addresses.bcc,
+      replyTo: addresses.replyTo,
+      from: addresses.from,
+      priority: template.priority,
+      attachments: attachments.files,
+      inlineImages: Object.keys(draftOptions.inlineImages || {}),
+      // Plain text, so the hidden preheader markup does not fill the preview
+      bodyPreview: plainTextBody.substring(0, 200) + "...",
       actions: []
     };
 
@@ -111,7 +172,7 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
           const actionVerb = config.emailAction === "SEND" ? "SEND updated" : "UPDATE";
           simulation.actions.push(`Would ${actionVerb} existing draft: "${draftSubject}"`);
           Log.info("MailOrchestrator", `DRY RUN: Would ${actionVerb.toLowerCase()} existing draft for "${template.subject}"`);
-          return { success: true, draftId: null, simulation };
+          return { success: true, draftId: null, simulation, unresolvedVariables, renderReport };
         }
       }
 
@@ -136,12 +197,17 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       dryRun: true,
       testMode: testMode,
       duration: duration,
-      recipientsTo: recipientsTo
+      recipientsTo: recipientsTo,
+      renderReport: renderReport,
+      templateHash: template.contentHash
     });
 
-    return { success: true, draftId: null, simulation };
+    return { success: true, draftId: null, simulation, unresolvedVariables, renderReport };
   }
 
+  // Change tracking: a new snapshot is stored whenever the template's hash changes (not on dry runs)
+  recordTemplateSnapshot_(templateTabName, template, config);
+
   // ============================================================
   // 🛡️ STEP 4: SAFE DRAFT RECYCLING
   // ============================================================
@@ -153,10 +219,7 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       // Check for subject match (with null-safety guard)
       if (draftSubject && draftSubject.indexOf(template.subject) !== -1) {
         Log.info("MailOrchestrator", `Found existing draft for "${template.subject}". Updating...`);
-        draft.update(recipientsTo, template.subject, plainTextBody, {
-          htmlBody: finalHtmlBody,
-          cc: recipientsCc
-        });
+        draft.update(recipientsTo, emailSubject, plainTextBody, draftOptions);
         let status = "UPDATED";
         if (config.emailAction === "SEND") {
           draft.send();
@@ -173,10 +236,12 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
           dryRun: dryRun,
           testMode: testMode,
           duration: duration,
-          recipientsTo: recipientsTo
+          recipientsTo: recipientsTo,
+          renderReport: renderReport,
+          templateHash: template.contentHash
         });
 
-        return { success: true, draftId: draft.getId(), simulation: null }; // 🛑 EXIT: Work is done.
+        return { success: true, draftId: draft.getId(), simulation: null, unresolvedVariables, renderReport }; // 🛑 EXIT: Work is done.
       }
     }
   } catch (e) {
@@ -207,16 +272,10 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       if (recipientsTo) {
         Log.warn("MailOrchestrator", `Reply-all mode active. Template TO recipients (${recipientsTo}) will be ignored in favor of thread participants.`);
       }
-      draft = targetThread.createDraftReplyAll(plainTextBody, {
-        htmlBody: finalHtmlBody,
-        cc: recipientsCc
-      });
+      draft = targetThread.createDraftReplyAll(plainTextBody, draftOptions);
       Log.info("MailOrchestrator", "New Draft Created (Reply Mode) on existing thread.");
     } else {
-      draft = GmailApp.createDraft(recipientsTo, template.subject, plainTextBody, {
-        cc: recipientsCc,
-        htmlBody: finalHtmlBody
-      });
+      draft = GmailApp.createDraft(recipientsTo, emailSubject, plainTextBody, draftOptions);
       Log.info("MailOrchestrator", "New Draft Created (New Thread).");
     }
 
@@ -236,10 +295,12 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       dryRun: dryRun,
       testMode: testMode,
       duration: duration,
-      recipientsTo: recipientsTo
+      recipientsTo: recipientsTo,
+      renderReport: renderReport,
+      templateHash: template.contentHash
     });
 
-    return { success: true, draftId: draftId, simulation: null };
+    return { success: true, draftId: draftId, simulation: null, unresolvedVariables, renderReport };
 
   } catch (e) {
     // Log error execution
@@ -249,7 +310,9 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
       dryRun: dryRun,
       testMode: testMode,
       duration: duration,
-      recipientsTo: recipientsTo
+      recipientsTo: recipientsTo,
+      renderReport: renderReport,
+      templateHash: template.contentHash
     });
 
     Log.error("MailOrchestrator", `Failed to create draft: ${e.message}`);
@@ -260,6 +323,82 @@ function generateEmailDraft(templateTabName, userOverrides = {}) {
 // ==========================================
 // HELPER FUNCTIONS
 // ==========================================
+/**
+ * Logs a strict-mode stop of generateEmailDraft and builds its failed result.
+ * @param {string} templateTabName - Template being generated
+ * @param {Object} template - From fetchTemplate (for the content hash)
+ * @param {Object} renderContext - Render context ({ unresolved, renderReport })
+ * @param {Object} details - Execution log fields ({ dryRun, testMode, duration, recipientsTo })
+ * @return {Object} { success: false, draftId: null, simulation: null, unresolvedVariables, renderReport }
+ */
+function stopStrictRun_(templateTabName, template, renderContext, details) {
+  const renderReport = renderContext.renderReport;
+  const error = `Strict mode: ${renderReport.length} render issue(s)`;
+  Log.error("MailOrchestrator", `Runner Stopped: ${error}`);
+  logExecution("ERROR", templateTabName, {
+    error: `${error}: ${formatRenderReport_(renderReport)}`,
+    ...details,
+    renderReport: renderReport,
+    templateHash: template.contentHash
+  });
+  return { success: false, draftId: null, simulation: null, unresolvedVariables: renderContext.unresolved, renderReport };
+}
+
+/**
+ * Builds the GmailApp options shared by createDraft, draft.update and createDraftReplyAll.
+ * Empty BCC / reply-to / from / name are left out so Gmail keeps its defaults.
+ * Attachments are always passed, because draft.update replaces the draft's attachments.
+ * @param {string} htmlBody - Final HTML body
+ * @param {Object} addresses - From resolveTemplateAddresses { cc, bcc, replyTo, from, name }
+ * @param {Blob[]} [attachments] - From resolveAttachments
+ * @param {Object} [inlineImages] - cid -> Blob from the render context; only images used in htmlBody are sent
+ * @return {Object} GmailApp options
+ */
+function buildDraftOptions_(htmlBody, addresses, attachments = [], inlineImages = {}) {
+  const options = { htmlBody: htmlBody, cc: addresses.cc || "" };
+  if (attachments.length > 0) options.attachments = attachments;
+
+  // Images inside inactive {{#IF}} branches were registered but are not referenced
+  const usedImages = {};
+  Object.keys(inlineImages).forEach(cid => {
+    if (htmlBody.indexOf("cid:" + cid) !== -1) usedImages[cid] = inlineImages[cid];
+  });
+  if (Object.keys(usedImages).length > 0) options.inlineImages = usedImages;
+  if (addresses.bcc) options.bcc = addresses.bcc;
+  if (addresses.replyTo) options.replyTo = addresses.replyTo;
+  if (addresses.from) options.from = addresses.from;
+  if (addresses.name) options.name = addresses.name;
+  return options;
+}
+
+/**
+ * One-line summary of a render report for logs and error messages.
+ * @param {Object[]} renderReport - [{ token, location, reason }] from the render context
+ * @return {string} e.g. "{{Owner}} at [BODY] paragraph 2, character 5 (Unresolved variable 'Owner'); ..."
+ */
+function formatRenderReport_(renderReport) {
+  return renderReport
+    .map(issue => `${issue.token || "(block)"}${issue.location ? " at " + issue.location : ""} (${issue.reason})`)
+    .join("; ");
+}
+
+/**
+ * Prefixes the subject according to the [PRIORITY] section (see config.priorityPrefixes).
+ * @param {string} subject - Rendered subject
+ * @param {string} priority - "High", "Normal", "Low" or ""
+ * @param {AppConfig} config - The configuration instance
+ * @return {string} Subject to use for new or updated drafts
+ */
+function applyPriorityPrefix_(subject, priority, config) {
+  if (!priority) return subject;
+
+  const prefix = (config.priorityPrefixes || {})[priority.toUpperCase()];
+  if (prefix === undefined) {
+    Log.warn("MailOrchestrator", `Unknown [PRIORITY] value "${priority}" ignored`);
+    return subject;
+  }
+  return prefix && subject.indexOf(prefix.trim()) !== 0 ? prefix + subject : subject;
+}
 /**
  * Converts HTML to plain text for accessibility (P1 §3.1)
  * Strips tags and converts common HTML entities.
@@ -270,11 +409,13 @@ function htmlToPlainText_(html) {
   if (!html) return "";
 
   return html
+    // The hidden preheader is only for the inbox preview
+    .replace(new RegExp(`<div ${PREHEADER_ATTRIBUTE}[^>]*>[\\s\\S]*?<\\/div>`, "gi"), "")
     // Replace <br>, <p> with newlines
     .replace(/<br\s*\/?>/gi, "\n")
-    .replace(/<\/p>/gi, "\n")
+    .replace(/<\/(p|h[1-6]|ul|ol)>/gi, "\n")
     // Replace <li> with bullet points
-    .replace(/<li>/gi, "• ")
+    .replace(/<li\b[^>]*>/gi, "• ")
     .replace(/<\/li>/gi, "\n")
     // Replace <tr> with newlines for tables
     .replace(/<\/tr>/gi, "\n")
@@ -285,6 +426,7 @@ function htmlToPlainText_(html) {
     .replace(/<[^>]+>/g, "")
     // Decode common HTML entities
     .replace(/&nbsp;/g, " ")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
     .replace(/&amp;/g, "&")
     .replace(/&lt;/g, "<")
     .replace(/&gt;/g, ">")
@@ -314,10 +456,21 @@ function createReportDraft(templateTabName, userOverrides = {}) {
  * Reuses link repository and caches across calls for efficiency.
  * @param {string[]} templateNames - Array of template tab names to process
  * @param {Object} [sharedOverrides] - Optional config overrides applied to all templates
+ *   (may include `variables` / `variablesProvider` / `strict`, see generateEmailDraft; strict skips
+ *   each template with render issues)
  * @return {Object} Summary of results { successful: number, failed: number, errors: string[] }
  */
 function generateBatchDrafts(templateNames, sharedOverrides = {}) {
-  const config = new AppConfig(sharedOverrides);
+  const variables = sharedOverrides.variables || {};
+  const variablesProvider = sharedOverrides.variablesProvider || null;
+  const strict = sharedOverrides.strict === true;
+
+  const cleanOverrides = { ...sharedOverrides };
+  delete cleanOverrides.variables;
+  delete cleanOverrides.variablesProvider;
+  delete cleanOverrides.strict;
+
+  const config = new AppConfig(cleanOverrides);
   const MAX_EXECUTION_TIME = 300000; // 5 minutes (safety margin before 6-min limit)
   const RATE_LIMIT_DELAY = 500; // 500ms delay between drafts
   const startTime = Date.now();
@@ -326,6 +479,8 @@ function generateBatchDrafts(templateNames, sharedOverrides = {}) {
   Log.info("MailOrchestrator", `Batch Processing: ${templateNames.length} templates`);
   const linkMap = loadLinkRepository(config);
   Log.info("MailOrchestrator", `Pre-loaded link repository with ${Object.keys(linkMap).length} entries`);
+  const variableRepository = loadVariableRepository(config);
+  Log.info("MailOrchestrator", `Pre-loaded ${variableRepository.length} rows from the Variables tab`);
 
   let successful = 0;
   let failed = 0;
@@ -344,46 +499,69 @@ function generateBatchDrafts(templateNames, sharedOverrides = {}) {
     }
 
     const batchStartTime = Date.now();
+    let templateHash = "";
+    let renderReport = [];
 
     try {
       Log.info("MailOrchestrator", `--- Processing ${i + 1}/${templateNames.length}: ${templateName} ---`);
 
-      // Fetch template
-      const template = fetchTemplate(templateName, config.templateDocumentId);
+      // Fetch template (variablesProvider is called per template)
+      const sheetVariables = selectTemplateVariables_(variableRepository, templateName, config);
+      const renderContext = createRenderContext_(templateName, config, variables, variablesProvider, sheetVariables);
+      renderReport = renderContext.renderReport;
+      const template = fetchTemplate(templateName, config.templateDocumentId, renderContext);
       if (!template) {
         throw new Error(`Template '${templateName}' not found`);
       }
+      templateHash = template.contentHash;
 
       // Process with pre-loaded link map
-      const processedBody = injectManagedLinks(template.body, linkMap);
-
-      // Resolve recipients
-      const toKeys = parseRecipientKeys(template.to);
-      const ccKeys = parseRecipientKeys(template.cc);
-      const recipientsTo = toKeys.length > 0 ? resolveRecipients(config, ...toKeys).join(",") : "";
-      const recipientsCc = ccKeys.length > 0 ? resolveRecipients(config, ...ccKeys).join(",") : "";
+      const processedBody = injectManagedLinks(template.body, linkMap, { ...renderContext, section: "BODY" });
 
       // Generate signature
-      const sigObj = generateUserSignature(config);
+      const sigObj = generateUserSignature(config, renderContext);
       const finalHtmlBody = processedBody + "<br><br>" + sigObj.html;
       const plainTextBody = htmlToPlainText_(finalHtmlBody);
 
+      if (renderContext.unresolved.length > 0) {
+        Log.warn("MailOrchestrator", `Unresolved template variables in "${templateName}": ${renderContext.unresolved.join(", ")}`);
+      }
+      if (renderContext.renderReport.length > 0) {
+        Log.warn("MailOrchestrator", `Render report for "${templateName}": ${formatRenderReport_(renderContext.renderReport)}`);
+      }
+
+      // STRICT MODE: this template gets no draft (recipients and attachments are not resolved);
+      // the rest of the batch continues
+      if (strict && renderContext.renderReport.length > 0) {
+        throw new Error(`Strict mode: ${renderContext.renderReport.length} render issue(s): ${formatRenderReport_(renderContext.renderReport)}`);
+      }
+
+      // Resolve recipients
+      const addresses = resolveTemplateAddresses(config, template, renderContext);
+      const recipientsTo = addresses.to;
+
+      const attachments = resolveAttachments(config, template.attachments, { ...renderContext, section: "ATTACHMENTS" });
+      if (attachments.errors.length > 0) {
+        Log.warn("MailOrchestrator", `Skipped attachments in "${templateName}": ${attachments.errors.join("; ")}`);
+      }
+      if (strict && renderContext.renderReport.length > 0) {
+        throw new Error(`Strict mode: ${renderContext.renderReport.length} render issue(s): ${formatRenderReport_(renderContext.renderReport)}`);
+      }
+      const draftOptions = buildDraftOptions_(finalHtmlBody, addresses, attachments.blobs, renderContext.inlineImages);
+
+      recordTemplateSnapshot_(templateName, template, config);
+
       // Check for existing draft (simplified - no recycling in batch)
       const threads = GmailApp.search(`subject:"${template.subject}"`, 0, 1);
       let draftId = null;
 
       if (threads.length > 0) {
-        const draft = threads[0].createDraftReplyAll(plainTextBody, {
-          htmlBody: finalHtmlBody,
-          cc: recipientsCc
-        });
+        const draft = threads[0].createDraftReplyAll(plainTextBody, draftOptions);
         draftId = draft.getId();
         Log.info("MailOrchestrator", `Created reply draft for "${templateName}"`);
       } else {
-        const draft = GmailApp.createDraft(recipientsTo, template.subject, plainTextBody, {
-          cc: recipientsCc,
-          htmlBody: finalHtmlBody
-        });
+        const emailSubject = applyPriorityPrefix_(template.subject, template.priority, config);
+        const draft = GmailApp.createDraft(recipientsTo, emailSubject, plainTextBody, draftOptions);
         draftId = draft.getId();
         Log.info("MailOrchestrator", `Created new draft for "${templateName}"`);
       }
@@ -395,7 +573,9 @@ function generateBatchDrafts(templateNames, sharedOverrides = {}) {
         dryRun: false,
         testMode: false,
         duration: batchDuration,
-        recipientsTo: recipientsTo
+        recipientsTo: recipientsTo,
+        renderReport: renderContext.renderReport,
+        templateHash: templateHash
       });
 
       successful++;
@@ -412,7 +592,9 @@ function generateBatchDrafts(templateNames, sharedOverrides = {}) {
         error: e.message,
         dryRun: false,
         testMode: false,
-        duration: batchDuration
+        duration: batchDuration,
+        renderReport: renderReport,
+        templateHash: templateHash
       });
 
       Log.error("MailOrchestrator", `Failed to process "${templateName}": ${e.message}`);
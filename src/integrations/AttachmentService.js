@@ -0,0 +1,240 @@
+/*
+MODULE: AttachmentService
+---------------------------------------------------
+Resolves the [ATTACHMENTS] section of a template
+into file blobs: Drive files, the latest file in a
+folder, and sheet ranges exported as PDF/CSV/XLSX.
+---------------------------------------------------
+*/
+
+const ATTACHMENT_EXPORT_FORMATS = ["PDF", "CSV", "XLSX"];
+
+const ATTACHMENT_MIME_TYPES = {
+  PDF: "application/pdf",
+  CSV: "text/csv",
+  XLSX: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+};
+
+/**
+ * 1. RESOLVE ATTACHMENTS
+ * Each line of the [ATTACHMENTS] section is one attachment:
+ *   <Drive file ID or URL>
+ *   Latest: <Folder ID or URL>, pattern: Daily_Report_*.pdf
+ *   Sheet: <Spreadsheet ID or URL>, range: 'KPI'!A1:F30, format: PDF, name: KPI Summary
+ * A line that cannot be resolved is skipped and reported (also in the render report,
+ * so strict mode stops the run); the email is still generated.
+ * @param {AppConfig} config - The configuration instance
+ * @param {string[]} lines - Rendered [ATTACHMENTS] lines from fetchTemplate
+ * @param {Object} [context] - Render context ({ renderReport })
+ * @return {Object} { blobs: Blob[], files: Object[] ({ name, bytes }), errors: string[] }
+ */
+function resolveAttachments(config, lines, context) {
+  const result = { blobs: [], files: [], errors: [] };
+  if (!lines || lines.length === 0) return result;
+
+  const maxBytes = config.maxAttachmentBytes;
+  let totalBytes = 0;
+
+  lines.forEach(line => {
+    try {
+      const spec = parseAttachmentSpec_(line);
+      const blob = fetchAttachmentBlob_(spec);
+      const bytes = blob.getBytes().length;
+
+      // Gmail rejects messages whose attachments exceed the limit, so drop the offending file
+      if (totalBytes + bytes > maxBytes) {
+        throw new Error(`'${blob.getName()}' (${formatBytes_(bytes)}) would exceed the ${formatBytes_(maxBytes)} attachment limit`);
+      }
+
+      totalBytes += bytes;
+      result.blobs.push(blob);
+      result.files.push({ name: blob.getName(), bytes: bytes });
+      Logger.log(`📎 Attachment: ${blob.getName()} (${formatBytes_(bytes)})`);
+    } catch (e) {
+      reportAttachmentError_(result, line, e, context);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Dry-run counterpart of resolveAttachments: parses each line and describes
+ * what would be attached, without reading Drive or exporting sheets.
+ * @param {string[]} lines - Rendered [ATTACHMENTS] lines from fetchTemplate
+ * @param {Object} [context] - Render context ({ renderReport })
+ * @return {Object} { files: string[] (descriptions), errors: string[] }
+ */
+function listAttachments(lines, context) {
+  const result = { files: [], errors: [] };
+  if (!lines || lines.length === 0) return result;
+
+  lines.forEach(line => {
+    try {
+      result.files.push(describeAttachmentSpec_(parseAttachmentSpec_(line)));
+    } catch (e) {
+      reportAttachmentError_(result, line, e, context);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Parses one [ATTACHMENTS] line.
+ * @param {string} line - e.g. "Sheet: <ID>, range: 'KPI'!A1:F30, format: XLSX"
+ * @return {Object} { type: "file"|"latest"|"sheet", ... }
+ * @throws {Error} If the line is not a valid attachment spec
+ */
+function parseAttachmentSpec_(line) {
+  const text = String(line || "").replace(/<[^>]+>/g, "").replace(/&nbsp;/g, " ").trim();
+
+  const latest = text.match(/^Latest:\s*([^,]+),\s*pattern:\s*(.+)$/i);
+  if (latest) {
+    const folderId = getIdFromUrl_(latest[1]);
+    if (!folderId) throw new Error(`Invalid folder: ${latest[1].trim()}`);
+    return { type: "latest", folderId: folderId, pattern: latest[2].trim() };
+  }
+
+  const sheet = text.match(/^Sheet:\s*([^,]+),\s*range:\s*(.+)$/i);
+  if (sheet) {
+    const ssId = getIdFromUrl_(sheet[1]);
+    if (!ssId) throw new Error(`Invalid spreadsheet: ${sheet[1].trim()}`);
+
+    // Options follow the range: ", format: PDF, name: KPI Summary"
+    const options = sheet[2].split(/,\s*(?=(?:format|name)\s*:)/i);
+    const spec = { type: "sheet", ssId: ssId, range: options.shift().trim(), format: "PDF", name: "" };
+    options.forEach(option => {
+      const [key, ...rest] = option.split(":");
+      const value = rest.join(":").trim();
+      if (/^format$/i.test(key.trim())) spec.format = value.toUpperCase();
+      else spec.name = value;
+    });
+
+    if (!ATTACHMENT_EXPORT_FORMATS.includes(spec.format)) {
+      throw new Error(`Unsupported export format '${spec.format}' (use ${ATTACHMENT_EXPORT_FORMATS.join(", ")})`);
+    }
+    return spec;
+  }
+
+  const fileId = getIdFromUrl_(text);
+  if (!fileId) throw new Error("Not a Drive file ID, 'Latest:' or 'Sheet:' attachment");
+  return { type: "file", fileId: fileId };
+}
+
+/**
+ * One-line description of a parsed attachment spec (dry-run listing).
+ * @param {Object} spec - From parseAttachmentSpec_
+ * @return {string} e.g. "Sheet <ID> 'KPI'!A1:F30 as PDF"
+ */
+function describeAttachmentSpec_(spec) {
+  if (spec.type === "latest") return `Latest file in folder ${spec.folderId} matching ${spec.pattern}`;
+  if (spec.type === "sheet") {
+    return `Sheet ${spec.ssId} ${spec.range} as ${spec.format}` + (spec.name ? ` (${spec.name})` : "");
+  }
+  return `Drive file ${spec.fileId}`;
+}
+
+function reportAttachmentError_(result, line, error, context) {
+  Logger.log(`❌ Attachment Error: ${error.message}`);
+  result.errors.push(`${line}: ${error.message}`);
+  reportRenderIssue_(context, { raw: String(line) }, error.message);
+}
+
+// ==========================================
+// 2. SOURCES
+// ==========================================
+
+function fetchAttachmentBlob_(spec) {
+  if (spec.type === "file") return DriveApp.getFileById(spec.fileId).getBlob();
+  if (spec.type === "latest") return getLatestFileInFolder_(spec.folderId, spec.pattern).getBlob();
+  return exportSheetRange_(spec);
+}
+
+/**
+ * Most recently updated file in a folder whose name matches the pattern.
+ * Pattern: a name with * wildcards ("Daily_Report_*.pdf") or a /regular expression/.
+ */
+function getLatestFileInFolder_(folderId, pattern) {
+  const matcher = buildFilePatternRegex_(pattern);
+  const files = DriveApp.getFolderById(folderId).getFiles();
+
+  let latest = null;
+  while (files.hasNext()) {
+    const file = files.next();
+    if (!matcher.test(file.getName())) continue;
+    if (!latest || file.getLastUpdated() > latest.getLastUpdated()) latest = file;
+  }
+
+  if (!latest) throw new Error(`No file matching '${pattern}' in folder ${folderId}`);
+  return latest;
+}
+
+function buildFilePatternRegex_(pattern) {
+  const regexMatch = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  if (regexMatch) return new RegExp(regexMatch[1], regexMatch[2]);
+
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replace(/\*/g, ".*");
+  return new RegExp("^" + escaped + "$", "i");
+}
+
+/**
+ * Exports a sheet range through the Sheets export endpoint.
+ * PDF and CSV export the range directly; XLSX only exports whole spreadsheets,
+ * so the range values are copied into a temporary spreadsheet first.
+ */
+function exportSheetRange_(spec) {
+  const ss = openSpreadsheetCached_(spec.ssId);
+  const range = ss.getRange(cleanRangeA1_(spec.range));
+  const sheet = range.getSheet();
+  const fileName = (spec.name || sheet.getName()) + "." + spec.format.toLowerCase();
+
+  if (spec.format === "XLSX") return exportRangeAsXlsx_(range, fileName);
+
+  const params = {
+    format: spec.format.toLowerCase(),
+    gid: sheet.getSheetId(),
+    range: range.getA1Notation()
+  };
+  if (spec.format === "PDF") {
+    Object.assign(params, { size: "A4", portrait: "false", fitw: "true", gridlines: "false", sheetnames: "false", printtitle: "false" });
+  }
+
+  const query = Object.keys(params).map(k => k + "=" + encodeURIComponent(params[k])).join("&");
+  return fetchExport_(`https://docs.google.com/spreadsheets/d/${spec.ssId}/export?${query}`, spec.format, fileName);
+}
+
+function exportRangeAsXlsx_(range, fileName) {
+  const temp = SpreadsheetApp.create("Attachment export " + fileName);
+  try {
+    const values = range.getValues();
+    temp.getSheets()[0].setName(range.getSheet().getName())
+      .getRange(1, 1, values.length, values[0].length)
+      .setValues(values)
+      .setNumberFormats(range.getNumberFormats());
+    SpreadsheetApp.flush();
+    return fetchExport_(`https://docs.google.com/spreadsheets/d/${temp.getId()}/export?format=xlsx`, "XLSX", fileName);
+  } finally {
+    DriveApp.getFileById(temp.getId()).setTrashed(true);
+  }
+}
+
+function fetchExport_(url, format, fileName) {
+  const response = UrlFetchApp.fetch(url, {
+    headers: { Authorization: "Bearer " + ScriptApp.getOAuthToken() },
+    muteHttpExceptions: true
+  });
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`Export failed (HTTP ${response.getResponseCode()}) for ${fileName}`);
+  }
+  return response.getBlob().setContentType(ATTACHMENT_MIME_TYPES[format]).setName(fileName);
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function formatBytes_(bytes) {
+  if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(1) + "MB";
+  return Math.round(bytes / 1024) + "KB";
+}
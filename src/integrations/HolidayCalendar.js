@@ -0,0 +1,140 @@
+/*
+MODULE: HolidayCalendar
+---------------------------------------------------
+Business-day calendar for date tokens.
+Loads public holidays from a sheet tab (filtered by
+country) and provides business-day arithmetic.
+---------------------------------------------------
+*/
+
+// Global variables to cache the calendar within a single execution
+let _HOLIDAY_CACHE_DATA = null;
+let _HOLIDAY_CACHE_KEY = null;
+
+/**
+ * 1. FETCH HOLIDAY CALENDAR
+ * Reads the holiday tab once per run. Rows whose country column is empty apply to every country.
+ * If the tab cannot be read, the calendar falls back to weekends only.
+ * @param {AppConfig} config - The configuration instance
+ * @return {Object} Calendar { weekendDays: number[], holidays: Object<string, string> } (keys are yyyy-MM-dd)
+ */
+function loadHolidayCalendar(config) {
+  const sheetId = config.holidaySheetId;
+  const tabName = config.holidayTabName;
+  const countries = normalizeCountryList_(config.holidayCountry);
+  const cacheKey = [sheetId, tabName, countries.join(",")].join("|");
+
+  if (_HOLIDAY_CACHE_DATA && _HOLIDAY_CACHE_KEY === cacheKey) return _HOLIDAY_CACHE_DATA;
+
+  const calendar = { weekendDays: config.weekendDays || [0, 6], holidays: {} };
+
+  Logger.log(`📅 Holidays: Loading [${tabName}] for ${countries.length > 0 ? countries.join(", ") : "all countries"}...`);
+  try {
+    const sheet = openSpreadsheetCached_(sheetId).getSheetByName(tabName);
+    if (!sheet) {
+      Logger.log(`⚠️ Holiday Warning: Tab '${tabName}' not found. Using weekends only.`);
+    } else {
+      const data = sheet.getDataRange().getValues();
+      const headers = data.shift().map(h => String(h).trim());
+      const dateIndex = headers.indexOf(config.holidayDateColumn);
+      const countryIndex = headers.indexOf(config.holidayCountryColumn);
+      const nameIndex = headers.indexOf(config.holidayNameColumn);
+
+      if (dateIndex === -1) throw new Error(`Column '${config.holidayDateColumn}' not found.`);
+
+      data.forEach(row => {
+        const rawDate = row[dateIndex];
+        if (!rawDate) return;
+
+        const rowCountry = countryIndex === -1 ? "" : String(row[countryIndex]).trim().toUpperCase();
+        if (countries.length > 0 && rowCountry && !countries.includes(rowCountry)) return;
+
+        const date = rawDate instanceof Date ? rawDate : new Date(rawDate);
+        if (isNaN(date.getTime())) return;
+
+        calendar.holidays[toCalendarKey_(date)] = nameIndex === -1 ? "Holiday" : String(row[nameIndex]);
+      });
+
+      Logger.log(`✅ Holidays: Loaded ${Object.keys(calendar.holidays).length} dates.`);
+    }
+  } catch (e) {
+    Logger.log(`❌ Holiday Error: ${e.message}. Using weekends only.`);
+  }
+
+  _HOLIDAY_CACHE_DATA = calendar;
+  _HOLIDAY_CACHE_KEY = cacheKey;
+  return calendar;
+}
+
+/**
+ * Returns the calendar for a render context, loading it on first use.
+ * Without a config (e.g. unit tests) only weekends are non-business days.
+ * @param {Object} [context] - Render context ({ config })
+ * @return {Object} Calendar { weekendDays, holidays }
+ */
+function getBusinessCalendar_(context) {
+  if (!context) return { weekendDays: [0, 6], holidays: {} };
+  if (!context.calendar) {
+    context.calendar = context.config
+      ? loadHolidayCalendar(context.config)
+      : { weekendDays: [0, 6], holidays: {} };
+  }
+  return context.calendar;
+}
+
+// ==========================================
+// 2. BUSINESS-DAY ARITHMETIC
+// ==========================================
+
+/**
+ * @param {Date} date
+ * @param {Object} calendar - { weekendDays, holidays }
+ * @return {boolean} True if the date is neither a weekend day nor a holiday
+ */
+function isBusinessDay_(date, calendar) {
+  if (calendar.weekendDays.includes(date.getDay())) return false;
+  return !calendar.holidays[toCalendarKey_(date)];
+}
+
+/**
+ * Moves a date by N business days (negative = backwards). Modifies and returns the same Date.
+ * Example: Friday + 1 business day -> Monday (or Tuesday if Monday is a holiday)
+ */
+function addBusinessDays_(date, days, calendar) {
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(days);
+
+  while (remaining > 0) {
+    date.setDate(date.getDate() + step);
+    if (isBusinessDay_(date, calendar)) remaining--;
+  }
+  return date;
+}
+
+/**
+ * Rolls a date to the nearest business day in the given direction (no-op if it already is one).
+ */
+function rollToBusinessDay_(date, direction, calendar) {
+  let guard = 0;
+  while (!isBusinessDay_(date, calendar) && guard < 366) {
+    date.setDate(date.getDate() + direction);
+    guard++;
+  }
+  return date;
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function toCalendarKey_(date) {
+  return date.getFullYear() + "-" +
+    String(date.getMonth() + 1).padStart(2, "0") + "-" +
+    String(date.getDate()).padStart(2, "0");
+}
+
+function normalizeCountryList_(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map(c => String(c).trim().toUpperCase()).filter(c => c !== "");
+}
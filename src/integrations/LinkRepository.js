@@ -86,34 +86,17 @@ function loadLinkRepository(config) {
  * Scans the body text for special $LINK...$ tags.
  * @param {string} bodyText - The HTML body text to process
  * @param {Object} linkMap - The map of link keys to URLs
+ * @param {Object} [context] - Render context; missing keys are added to its render report
  * @return {string} The processed HTML with links injected
  */
-function injectManagedLinks(bodyText, linkMap) {
+function injectManagedLinks(bodyText, linkMap, context) {
   if (!bodyText) return "";
 
-  // HEALER: Strip HTML tags from within $LINK tags (fixes formatted content)
-  // Example: $<b>LINK:Key</b>, TEXT:Label$ -> $LINK:Key, TEXT:Label$
-  // Note: We need to handle HTML tags that might appear anywhere in the tag
-  const healedText = bodyText.replace(/\$LINK:([\s\S]*?),\s*TEXT:([\s\S]*?)\$/g, (match, keyPart, textPart) => {
-    const cleanKey = keyPart
-      .replace(/<[^>]+>/g, "")      // Remove HTML tags
-      .replace(/&nbsp;/g, " ")      // Remove Non-Breaking Spaces
-      .replace(/\s+/g, " ")         // Collapse multiple spaces
-      .trim();
-    const cleanText = textPart
-      .replace(/<[^>]+>/g, "")      // Remove HTML tags
-      .replace(/&nbsp;/g, " ")      // Remove Non-Breaking Spaces
-      .replace(/\s+/g, " ")         // Collapse multiple spaces
-      .trim();
-    return "$LINK:" + cleanKey + ", TEXT:" + cleanText + "$";
-  });
-
-  // Regex: Finds $LINK:Key, TEXT:Label$
-  const regex = /\$LINK:(.*?),\s*TEXT:(.*?)\$/g;
-
-  return healedText.replace(regex, function(match, rawKey, rawLabel) {
-    const key = rawKey.trim();
-    const label = rawLabel.trim();
+  // The parser heals formatting inside the tag: $LINK:<b>Key</b>, TEXT:Label$ -> Key / Label
+  return renderTemplateNodes_(parseTemplate_(bodyText).nodes, node => {
+    if (node.type !== "Link") return undefined;
+    const key = node.key;
+    const label = node.label;
 
     // 1. Try to find the key in the CMS Database
     let url = linkMap[key];
@@ -130,6 +113,7 @@ function injectManagedLinks(bodyText, linkMap) {
     } else {
       // Error State
       Logger.log(`⚠️ Missing Link Key: [${key}]`);
+      reportRenderIssue_(context, node, `Missing link key '${key}'`);
       return `<span style="background-color: #ffcccc; color: #cc0000; padding: 2px 5px; border-radius: 3px;">[MISSING LINK: ${key}]</span>`;
     }
   });
@@ -0,0 +1,176 @@
+/*
+MODULE: VariableRepository
+---------------------------------------------------
+Sheet-backed template variables, so owners can change
+values like the on-call manager or a quarter target
+without editing the template:
+  Key | Value | Scope | Valid_From | Valid_To
+- Value: plain text, or a reference read at send time:
+  CELL:'Targets'!B2, NAMED:Quarter_Target (this
+  spreadsheet) or CELL:<Sheet ID/URL>, 'KPI'!B2
+- Scope: empty / Global, or template names (comma-separated);
+  a template's own row wins over a global one
+- Valid_From / Valid_To: optional dates (inclusive); a row
+  whose date can't be read is reported when its key is used
+Loaded once per run (like the link repository) and
+used by {{VAR:Key}}, {{Key}} and {{#IF VAR:Key}}.
+---------------------------------------------------
+*/
+
+const GLOBAL_VARIABLE_SCOPES = ["", "GLOBAL", "ALL", "*"];
+
+/**
+ * Loads every row of the Variables tab.
+ * @param {AppConfig} config - The configuration instance
+ * @return {Object[]} [{ key, value, scopes, validFrom, validTo, error }] - empty if the tab is missing or unreadable;
+ *   error is set for rows with an unreadable validity date
+ */
+function loadVariableRepository(config) {
+  const targetId = config.variablesSheetId;
+  const targetTab = config.variablesTabName;
+
+  try {
+    const sheet = SpreadsheetApp.openById(targetId).getSheetByName(targetTab);
+    if (!sheet) {
+      Logger.log(`⚠️ Variables: Tab '${targetTab}' not found.`);
+      return [];
+    }
+
+    const range = sheet.getDataRange();
+    const values = range.getValues();          // Dates as Date objects
+    const displayValues = range.getDisplayValues(); // Values as shown in Sheets
+    if (values.length < 2) return [];
+
+    const entries = parseVariableRows_(values, displayValues, config);
+    Logger.log(`✅ Variables: Loaded ${entries.length} rows from '${targetTab}'.`);
+    return entries;
+
+  } catch (e) {
+    Logger.log(`❌ Variables Error: ${e.message}`);
+    return [];
+  }
+}
+
+/**
+ * Picks the variables that apply to a template today.
+ * @param {Object[]} entries - From loadVariableRepository
+ * @param {string} templateName - The template being rendered
+ * @param {AppConfig} config - References without a sheet ID are read from the Variables spreadsheet
+ * @param {Date} [now] - Defaults to the current date
+ * @return {Object} key -> { value, reference, error } (reference: "CELL:..." / "NAMED:..." read on first use;
+ *   error: the row's validity dates could not be read, see resolveSheetVariable_)
+ */
+function selectTemplateVariables_(entries, templateName, config, now = new Date()) {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const selected = {};
+  const isGlobal = (entry) => entry.scopes.length === 0 || entry.scopes.some(s => GLOBAL_VARIABLE_SCOPES.includes(s.toUpperCase()));
+
+  // Rows with unreadable dates stay in, so using their key reports the problem
+  const active = (entries || []).filter(entry => entry.error ||
+    (!entry.validFrom || entry.validFrom.getTime() <= today) &&
+    (!entry.validTo || entry.validTo.getTime() >= today));
+
+  // Global rows first, so the template's own rows replace them
+  const globalRows = active.filter(isGlobal);
+  const templateRows = active.filter(entry => !isGlobal(entry) && entry.scopes.includes(templateName));
+
+  globalRows.concat(templateRows).forEach(entry => {
+    if (DICTIONARY_COMMANDS.includes(entry.key.toUpperCase())) {
+      Logger.log(`⚠️ Variables: "${entry.key}" is a reserved dictionary command and will be ignored`);
+      return;
+    }
+    if (entry.error) {
+      selected[entry.key] = { value: undefined, reference: null, error: entry.error };
+      return;
+    }
+    const reference = String(entry.value).trim().match(/^(CELL|NAMED):\s*([\s\S]+)$/i);
+    selected[entry.key] = reference
+      ? { value: undefined, reference: reference[1].toUpperCase() + ":" + qualifyVariableReference_(reference[2], config), error: null }
+      : { value: entry.value, reference: null, error: null };
+  });
+
+  return selected;
+}
+
+/**
+ * Value of a sheet variable; CELL / NAMED references are read once and kept.
+ * @param {Object} variable - From selectTemplateVariables_
+ * @return {string}
+ * @throws {Error} If the row's validity dates could not be read (reported in the render report)
+ */
+function resolveSheetVariable_(variable) {
+  if (variable.error) throw new Error(variable.error);
+  if (variable.value === undefined) {
+    const separator = variable.reference.indexOf(":");
+    const kind = variable.reference.substring(0, separator);
+    const target = variable.reference.substring(separator + 1);
+    variable.value = kind === "CELL" ? getSheetCellDisplayValue_(target) : getNamedRangeDisplayValue_(target);
+  }
+  return variable.value;
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+/**
+ * Turns the tab's rows into entries (see loadVariableRepository).
+ * @param {Array[]} values - getValues() (dates as Date objects)
+ * @param {string[][]} displayValues - getDisplayValues(), header row first
+ * @param {AppConfig} config - Column names
+ * @return {Object[]}
+ */
+function parseVariableRows_(values, displayValues, config) {
+  const headers = displayValues[0].map(h => String(h).trim());
+  const column = (name) => headers.indexOf(name);
+  const keyIndex = column(config.variableKeyColumn);
+  const valueIndex = column(config.variableValueColumn);
+
+  if (keyIndex === -1 || valueIndex === -1) {
+    Logger.log(`❌ Variables Error: Columns '${config.variableKeyColumn}' and '${config.variableValueColumn}' are required. Found: [${headers.join(", ")}]`);
+    return [];
+  }
+
+  const scopeIndex = column(config.variableScopeColumn);
+  const fromIndex = column(config.variableValidFromColumn);
+  const toIndex = column(config.variableValidToColumn);
+
+  const entries = [];
+  for (let i = 1; i < values.length; i++) {
+    const key = String(displayValues[i][keyIndex]).trim();
+    if (!key) continue;
+
+    const entry = {
+      key: key,
+      value: displayValues[i][valueIndex],
+      scopes: scopeIndex === -1 ? [] : String(displayValues[i][scopeIndex]).split(",").map(s => s.trim()).filter(s => s),
+      validFrom: null,
+      validTo: null,
+      error: null
+    };
+
+    // A typo in a date must not make a time-limited value always active
+    try {
+      if (fromIndex !== -1) entry.validFrom = parseVariableDate_(values[i][fromIndex], config.variableValidFromColumn);
+      if (toIndex !== -1) entry.validTo = parseVariableDate_(values[i][toIndex], config.variableValidToColumn);
+    } catch (e) {
+      entry.error = `Variables tab row ${i + 1}: ${e.message}`;
+      Logger.log(`⚠️ Variables: ${entry.error}`);
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+// A reference without a spreadsheet points at the Variables spreadsheet, not the active one
+function qualifyVariableReference_(target, config) {
+  return target.indexOf(",") === -1 ? `${config.variablesSheetId}, ${target.trim()}` : target.trim();
+}
+
+// Empty = no limit; anything else must be a date
+function parseVariableDate_(value, column) {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) throw new Error(`${column} "${value}" is not a date`);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
@@ -2,7 +2,7 @@
 MODULE: RecipientService
 ---------------------------------------------------
 Recipient directory + signature generator.
-Includes caching and Base64 logo embedding.
+Includes caching and inline (cid:) logo embedding.
 ---------------------------------------------------
 */
 
@@ -89,8 +89,9 @@ function resolveRecipients(config, ...args) {
 /**
  * Generates the HTML signature for the current user.
  * @param {AppConfig} config - The configuration instance.
+ * @param {Object} [context] - Render context of the email, so caller variables also work in the signature.
  */
-function generateUserSignature(config) {
+function generateUserSignature(config, context = {}) {
   const currentUserEmail = Session.getActiveUser().getEmail();
 
   // 1. Fetch User Data
@@ -146,7 +147,10 @@ function generateUserSignature(config) {
           }
         }
       }
-      imgTag = `<img src="data:${mime};base64,${b64}" width="200" style="display:block; height:auto;">`;
+      // Sent as an inline image (cid:) when the context collects them, otherwise as a data URI
+      const logoBlob = Utilities.newBlob(Utilities.base64Decode(b64), mime, "signature_logo");
+      const logoSrc = registerInlineImage_(context, logoBlob, "signature_logo");
+      imgTag = `<img src="${logoSrc}" alt="${String(config.logoAltText || "").replace(/"/g, "&quot;")}" width="200" style="display:block; height:auto;">`;
     }
   } catch (e) {
     Logger.log("⚠️ Sig Logo Error: " + e.message);
@@ -154,21 +158,111 @@ function generateUserSignature(config) {
   }
 
   // 3. REUSE TEMPLATE LOGIC
+  // Sender details are resolved as variables, on top of the email's own variables
+  const sigContext = {
+    ...context,
+    variables: {
+      ...(context.variables || {}),
+      Sender_Name: userDetails.name,
+      Sender_Role: userDetails.role,
+      First_Email: userDetails.email1,
+      Second_Email: userDetails.email2,
+      Signature_Logo: imgTag ? createHtmlValue_(imgTag) : ""
+    }
+  };
+
   // Pass the Doc ID explicitly from the config
-  const sigTemplate = fetchTemplate(config.signatureTemplateTab, config.templateDocumentId);
-  let html = sigTemplate ? sigTemplate.body : "{{Sender_Name}}<br>{{Sender_Role}}<br>{{Signature_Logo}}";
+  const sigTemplate = fetchTemplate(config.signatureTemplateTab, config.templateDocumentId, sigContext);
+  const html = sigTemplate
+    ? sigTemplate.body
+    : applyDictionary_("{{Sender_Name}}<br>{{Sender_Role}}<br>{{Signature_Logo}}", sigContext);
+
+  return { html: html };
+}
+
+// ==========================================
+// 3. TEMPLATE ADDRESSING
+// ==========================================
+/**
+ * Resolves the address sections of a rendered template.
+ * [TO], [CC], [BCC] and [REPLY_TO] accept directory tags and direct emails;
+ * [FROM] is "Display Name <alias@domain.com>", an alias, or just a display name.
+ * @param {AppConfig} config - The configuration instance.
+ * @param {Object} template - Result of fetchTemplate
+ * @param {Object} [context] - Render context; a dropped [FROM] address is added to its render report
+ * @return {Object} { to, cc, bcc, replyTo, from, name } ("" when not set)
+ */
+function resolveTemplateAddresses(config, template, context) {
+  const resolveSection = (raw) => {
+    const keys = parseRecipientKeys(raw);
+    return keys.length > 0 ? resolveRecipients(config, ...keys).join(",") : "";
+  };
+
+  const sender = resolveSender_(template.from, context);
 
-  // 4. Final Swap
   return {
-    html: html
-      .replace(/\{\{Sender_Name\}\}/g, userDetails.name)
-      .replace(/\{\{Sender_Role\}\}/g, userDetails.role)
-      .replace(/\{\{First_Email\}\}/g, userDetails.email1)
-      .replace(/\{\{Second_Email\}\}/g, userDetails.email2)
-      .replace(/\{\{Signature_Logo\}\}/g, imgTag)
+    to: resolveSection(template.to),
+    cc: resolveSection(template.cc),
+    bcc: resolveSection(template.bcc),
+    replyTo: resolveSection(template.replyTo),
+    from: sender.email,
+    name: sender.name
   };
 }
 
+/**
+ * Splits a [FROM] value into display name and address.
+ * "Ops Desk <ops@acme.com>" -> { name: "Ops Desk", email: "ops@acme.com" }
+ * @param {string} raw - The [FROM] section text
+ * @return {Object} { name, email }
+ */
+function parseSenderAddress_(raw) {
+  const text = String(raw || "").replace(/,+$/, "").trim();
+  if (!text) return { name: "", email: "" };
+
+  const match = text.match(/^(.*?)\s*<([^<>\s]+@[^<>\s]+)>$/);
+  if (match) return { name: match[1].replace(/^["']|["']$/g, "").trim(), email: match[2] };
+  if (text.includes("@")) return { name: "", email: text };
+  return { name: text, email: "" };
+}
+
+/**
+ * Gmail only sends from the account itself or its verified "Send mail as" aliases.
+ * Unknown addresses are dropped (the display name is kept) so the draft is still created.
+ * @param {string} raw - The [FROM] section text
+ * @param {Object} [context] - Render context; a dropped address is added to its render report
+ * @return {Object} { name, email }
+ */
+function resolveSender_(raw, context) {
+  const sender = parseSenderAddress_(raw);
+  if (!sender.email) return sender;
+
+  let reason = "";
+  try {
+    if (!isAllowedSender_(sender.email)) reason = `'${sender.email}' is not a verified Gmail alias`;
+  } catch (e) {
+    reason = `Could not verify aliases (${e.message})`;
+  }
+
+  if (reason) {
+    Logger.log(`⚠️ From Warning: ${reason}. Sending from the default address.`);
+    reportRenderIssue_({ ...context, section: "FROM" }, { raw: String(raw) }, `${reason}; the default address is used`);
+    sender.email = "";
+  }
+  return sender;
+}
+
+/**
+ * Whether Gmail can send as this address: the account itself or one of its aliases.
+ * @param {string} email - Sender address
+ * @return {boolean} True if the address is allowed
+ * @throws {Error} If the account or its aliases cannot be read
+ */
+function isAllowedSender_(email) {
+  const allowed = [Session.getActiveUser().getEmail(), ...GmailApp.getAliases()].map(a => a.toLowerCase());
+  return allowed.includes(String(email).toLowerCase());
+}
+
 // ==========================================
 // BACKWARD COMPATIBILITY ALIASES
 // ==========================================
@@ -11,46 +11,42 @@ FINAL VERSION (Formatted Text + Empty Row Fix + Safe Quoting)
 /**
  * Scans the body HTML for [Table] tags and replaces them with actual HTML tables.
  * @param {string} bodyHtml - The raw HTML of the Google Doc body.
+ * @param {Object} [context] - Render context; failed tables are added to its render report
  * @return {string} The HTML with tables inserted.
  */
-function processTables(bodyHtml) {
-  // REGEX: Looks for [Table] Sheet: <ID/Link>, range: <Range>
-  // Uses non-greedy capture (.*?) and looks ahead for closing paragraph </p>
-  const regex = /\[Table\]\s*Sheet:\s*(.*?),\s*range:\s(.*?)(?=<\/p>)/gi;
-
-  return bodyHtml.replace(regex, function(match, urlPart, rawRange) {
+function processTables(bodyHtml, context) {
+  // [Table] Sheet: <ID/Link>, range: <Range> - parsed by TemplateParser (the tag runs to the end of its paragraph)
+  return renderTemplateNodes_(parseTemplate_(bodyHtml).nodes, node => {
+    if (node.type !== "Table") return undefined;
     try {
       // 1. EXTRACT ID
-      const ssId = getIdFromUrl_(urlPart);
+      const ssId = getIdFromUrl_(node.sheet);
       if (!ssId) {
-        Logger.log("❌ Table Error: Could not find Sheet ID in: " + urlPart);
+        Logger.log("❌ Table Error: Could not find Sheet ID in: " + node.sheet);
+        reportRenderIssue_(context, node, "Invalid sheet link");
         return "<p style='color:red; background:#ffe6e6; padding:5px;'>[Table Error: Invalid Sheet Link]</p>";
       }
 
-      // 2. CLEAN RANGE STRING
-      // Remove HTML tags (in case user bolded the range text)
-      let cleanRange = rawRange.replace(/<[^>]+>/g, "");
-
-      // Nuclear Cleaning: Fix Smart Quotes, Non-Breaking Spaces, and HTML Entities
-      cleanRange = cleanRange
-        .replace(/[\u2018\u2019]/g, "'") // Smart Quotes -> '
-        .replace(/\u00A0/g, " ")         // NBSP -> Space
-        .replace(/&nbsp;/g, " ")         // HTML Space -> Space
-        .trim();
+      // 2. CLEAN RANGE STRING + AUTO-QUOTE FIX
+      const cleanRange = cleanRangeA1_(node.range);
 
-      // Remove trailing punctuation (e.g. "range: A1:B10.")
-      if (/[.,;]$/.test(cleanRange)) {
-        cleanRange = cleanRange.slice(0, -1).trim();
-      }
-
-      // 3. AUTO-QUOTE FIX
-      cleanRange = fixMissingQuotes_(cleanRange);
+      // 3. OPTIONS (a bad option is reported; the table still renders without it)
+      const onIssue = (message) => {
+        Logger.log(`⚠️ Table Warning: ${message}`);
+        reportRenderIssue_(context, node, message);
+      };
+      const options = parseTableOptions_(node.options, context, onIssue);
+      const config = (context && context.config) || {};
+      if (!options.mode) options.mode = getDefaultTableMode_(context);
+      if (!options.maxRows && config.maxTableRows > 0) options.maxRows = config.maxTableRows;
+      options.useSheetsApi = Boolean(config.useSheetsAdvancedService);
 
       Logger.log(`[TableHelper] Fetching: "${cleanRange}" from ID: ${ssId}`);
-      return getHtmlTableFromSheet_(ssId, cleanRange);
+      return getHtmlTableFromSheet_(ssId, cleanRange, options, onIssue);
 
     } catch (e) {
       Logger.log(`❌ [Table Error] ${e.message}`);
+      reportRenderIssue_(context, node, e.message);
       return `<p style="color:red; background:#ffe6e6; padding:5px;">(Table Error: ${e.message})</p>`;
     }
   });
@@ -60,12 +56,137 @@ function processTables(bodyHtml) {
 // PRIVATE HELPERS
 // ==========================================
 
+// ==========================================
+// SHEET VALUE LOOKUPS (Dictionary + Blocks)
+// ==========================================
+// Spreadsheets opened during this execution, keyed by ID.
+// Ten {{CELL}} tokens against the same file cost one openById.
+let _SPREADSHEET_CACHE = {};
+
+/**
+ * Opens a spreadsheet once per execution.
+ * @param {string} ssId - Spreadsheet ID
+ * @return {Spreadsheet}
+ */
+function openSpreadsheetCached_(ssId) {
+  if (!_SPREADSHEET_CACHE[ssId]) {
+    Logger.log(`🔄 Sheets: Opening [${ssId}]...`);
+    _SPREADSHEET_CACHE[ssId] = SpreadsheetApp.openById(ssId);
+  }
+  return _SPREADSHEET_CACHE[ssId];
+}
+
+/**
+ * Splits "<Sheet ID/URL>, <target>" into its parts. The sheet part is optional.
+ * Input:  https://docs.google.com/.../d/<ID>/edit, 'KPI'!B2  -> { ssId: "<ID>", target: "'KPI'!B2" }
+ * Input:  'KPI'!B2                                        -> { ssId: null, target: "'KPI'!B2" }
+ * Splits on the first comma outside quotes, so quoted sheet names may contain commas: <ID>, 'Q1, Q2'!B2
+ */
+function parseSheetReference_(reference) {
+  const commaIndex = findUnquotedComma_(reference);
+  if (commaIndex === -1) return { ssId: null, target: reference.trim() };
+
+  const sheetPart = reference.substring(0, commaIndex);
+  const ssId = getIdFromUrl_(sheetPart);
+  if (!ssId) throw new Error("Could not find Sheet ID in: " + sheetPart);
+
+  return { ssId: ssId, target: reference.substring(commaIndex + 1).trim() };
+}
+
+function findUnquotedComma_(text) {
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === "'") quoted = !quoted;
+    else if (text[i] === "," && !quoted) return i;
+  }
+  return -1;
+}
+
+function getReferencedSpreadsheet_(ssId) {
+  return ssId ? openSpreadsheetCached_(ssId) : SpreadsheetApp.getActiveSpreadsheet();
+}
+
+/**
+ * Reads the display value of a single cell (top-left cell if a larger range is given).
+ * Used by {{CELL:...}} tokens and {{#IF CELL:...}} conditions.
+ * @param {string} cellRef - "<Sheet ID/URL>, <range>" or just "<range>" for the active spreadsheet
+ * @return {string} The formatted cell value as shown in Sheets
+ */
+function getSheetCellDisplayValue_(cellRef) {
+  const ref = parseSheetReference_(cellRef);
+  return getReferencedSpreadsheet_(ref.ssId).getRange(cleanRangeA1_(ref.target)).getDisplayValue();
+}
+
+/**
+ * Reads the display value of a named range (top-left cell).
+ * Used by {{NAMED:...}} tokens and {{#IF NAMED:...}} conditions.
+ * @param {string} namedRef - "<Sheet ID/URL>, <range name>" or just "<range name>" for the active spreadsheet
+ * @return {string} The formatted cell value as shown in Sheets
+ */
+function getNamedRangeDisplayValue_(namedRef) {
+  const ref = parseSheetReference_(namedRef);
+  const range = getReferencedSpreadsheet_(ref.ssId).getRangeByName(ref.target);
+  if (!range) throw new Error(`Named range '${ref.target}' not found`);
+  return range.getDisplayValue();
+}
+
+/**
+ * Reads a range as records keyed by the header row (display values).
+ * Fully empty rows are skipped. Used by {{#EACH}} blocks.
+ * @param {string} sheetRef - Spreadsheet ID or URL
+ * @param {string} rawRange - Range including the header row, e.g. 'Open'!A1:D50
+ * @return {Object[]} One object per data row, e.g. [{ Owner: "Ana", Ticket: "OPS-12" }]
+ */
+function getSheetRecords_(sheetRef, rawRange) {
+  const ssId = getIdFromUrl_(sheetRef);
+  if (!ssId) throw new Error("Could not find Sheet ID in: " + sheetRef);
+
+  const values = openSpreadsheetCached_(ssId).getRange(cleanRangeA1_(rawRange)).getDisplayValues();
+  if (values.length === 0) return [];
+
+  const headers = values[0].map(h => String(h).trim());
+
+  return values.slice(1)
+    .filter(row => row.some(cell => String(cell).trim() !== ""))
+    .map(row => {
+      const record = {};
+      headers.forEach((header, i) => {
+        if (header) record[header] = row[i];
+      });
+      return record;
+    });
+}
+
 function getIdFromUrl_(url) {
   // Extracts the ~44 char ID from a URL or Smart Chip
   const match = url.match(/[-\w]{25,}/);
   return match ? match[0] : null;
 }
 
+/**
+ * Cleans a range typed in a Doc: strips formatting tags, smart quotes, NBSPs and
+ * trailing punctuation, then quotes the sheet name.
+ * Input:  <b>Data</b>!A1:B10.  -> 'Data'!A1:B10
+ */
+function cleanRangeA1_(rawRange) {
+  // Remove HTML tags (in case user bolded the range text)
+  let cleanRange = rawRange.replace(/<[^>]+>/g, "");
+
+  // Nuclear Cleaning: Fix Smart Quotes, Non-Breaking Spaces, and HTML Entities
+  cleanRange = cleanRange
+    .replace(/[\u2018\u2019]/g, "'") // Smart Quotes -> '
+    .replace(/\u00A0/g, " ")         // NBSP -> Space
+    .replace(/&nbsp;/g, " ")         // HTML Space -> Space
+    .trim();
+
+  // Remove trailing punctuation (e.g. "range: A1:B10.")
+  if (/[.,;]$/.test(cleanRange)) {
+    cleanRange = cleanRange.slice(0, -1).trim();
+  }
+
+  return fixMissingQuotes_(cleanRange);
+}
+
 /**
  * QA FIX: Safely quotes sheet names.
  * Old logic only checked for spaces. New logic quotes everything to be safe.
@@ -85,18 +206,22 @@ function fixMissingQuotes_(rangeStr) {
   return `'${sheetName}'!${cellRange}`;
 }
 
-function getHtmlTableFromSheet_(ssId, rangeA1) {
-  const ss = SpreadsheetApp.openById(ssId);
-  const range = ss.getRange(rangeA1);
-  const sheet = range.getSheet();
-
-  // 1. FETCH DATA & TRIM
-  let values = range.getDisplayValues();
+/**
+ * Converts a sheet range to an HTML table with the sheet's formatting.
+ * @param {string} ssId - Spreadsheet ID
+ * @param {string} rangeA1 - Cleaned range, e.g. 'Data'!A1:D10
+ * @param {Object} [options] - From parseTableOptions_, plus { useSheetsApi } (see processTables)
+ * @param {Function} [onIssue] - Called with a message for problems that do not stop the table
+ * @return {string} HTML table
+ */
+function getHtmlTableFromSheet_(ssId, rangeA1, options = {}, onIssue = () => {}) {
+  // 1. FETCH DATA & FORMATTING (one Sheets API call, or one call per attribute)
+  const grid = readTableGrid_(ssId, rangeA1, options.useSheetsApi);
 
-  // Logic: Scan from bottom up. Stop at first non-empty row.
-  let lastRowIndex = values.length - 1;
+  // 2. TRIM: Scan from bottom up. Stop at first non-empty row.
+  let lastRowIndex = grid.values.length - 1;
   while (lastRowIndex >= 0) {
-    const isRowEmpty = values[lastRowIndex].every(cell => cell.trim() === "");
+    const isRowEmpty = grid.values[lastRowIndex].every(cell => cell.trim() === "");
     if (!isRowEmpty) break;
     lastRowIndex--;
   }
@@ -104,134 +229,1035 @@ function getHtmlTableFromSheet_(ssId, rangeA1) {
   if (lastRowIndex < 0) return "<p><i>(Table contains no data)</i></p>";
 
   const newRowCount = lastRowIndex + 1;
-  values = values.slice(0, newRowCount);
-
-  // 2. FETCH FORMATTING (Sliced to newRowCount)
-  const backgrounds = range.getBackgrounds().slice(0, newRowCount);
-  const fontWeights = range.getFontWeights().slice(0, newRowCount);
-  const fontColors = range.getFontColors().slice(0, newRowCount);
-  const fontSizes = range.getFontSizes().slice(0, newRowCount);
-  const horizontalAligns = range.getHorizontalAlignments().slice(0, newRowCount);
-  const verticalAligns = range.getVerticalAlignments().slice(0, newRowCount);
-  const fontFamilies = range.getFontFamilies().slice(0, newRowCount);
-
-  // 3. FETCH COLUMN WIDTHS
+  const values = grid.values.slice(0, newRowCount);
+  const rawValues = grid.rawValues.slice(0, newRowCount);
+  const flagged = grid.flagged.slice(0, newRowCount);
+  const richText = grid.richText.slice(0, newRowCount);
+  const formats = {};
+  Object.keys(grid.formats).forEach(key => { formats[key] = grid.formats[key].slice(0, newRowCount); });
+
+  // 2b. HIGHLIGHT RULES (applied over the sheet's conditional formatting)
+  if (options.highlight) {
+    applyTableHighlights_(options.highlight, values, grid.startCol, formats, onIssue)
+      .forEach((row, r) => row.forEach((styled, c) => { if (styled) flagged[r][c] = true; }));
+  }
+
+  // 3. SELECT ROWS & COLUMNS (columns:, where:, sort:, limit:, hide-empty-columns)
+  // A merged cell's value counts for every row and column it covers
+  const origins = getMergeOrigins_(grid.merges, values.length, values[0].length);
+  const layout = selectTableLayout_(values, rawValues, origins, grid.startCol, options, onIssue);
+
+  // 3b. TRUNCATE (max-rows: / maxTableRows): the rest is linked in a footer
+  let hiddenRows = 0;
+  if (options.maxRows && layout.rows.length - 1 > options.maxRows) {
+    hiddenRows = layout.rows.length - 1 - options.maxRows;
+    layout.rows = layout.rows.slice(0, options.maxRows + 1);
+  }
+  const cells = layoutTableCells_(layout.rows, layout.cols, origins);
+
+  // 4. COLUMN WIDTHS (read once per sheet and run)
+  const colWidths = layout.cols.map(c => grid.columnWidth(c));
+  const totalTableWidth = colWidths.reduce((sum, w) => sum + w, 0);
+
+  // 5. BUILD HTML (mode: tag option > [TABLE_MODE] section > tableRenderMode setting)
+  const table = {
+    values: values,
+    cells: cells,
+    rows: layout.rows,
+    colWidths: colWidths,
+    totalWidth: totalTableWidth,
+    richText: richText,
+    formats: formats,
+    flagged: flagged,
+    // Only the fixed layout uses row heights
+    rowHeight: grid.sizesPreloaded || layout.rows.length <= TABLE_ROW_HEIGHT_LIMIT ? grid.rowHeight : null
+  };
+  const html = TABLE_RENDER_MODES[options.mode || "fixed"](table);
+  return hiddenRows > 0 ? html + renderTruncationFooter_(hiddenRows, ssId, grid.sheetId, rangeA1) : html;
+}
+
+// ==========================================
+// READING THE RANGE
+// ==========================================
+// Without the Sheets API, rows beyond this count are not given the sheet's row heights
+// (getRowHeight is one call per row)
+const TABLE_ROW_HEIGHT_LIMIT = 100;
+
+// Column widths, row heights and conditional format rules read during this execution,
+// keyed by spreadsheet and sheet ID, so several [Table] tags on one tab share the reads.
+let _SHEET_METADATA_CACHE = {};
+
+/**
+ * Reads everything a table needs from a range.
+ * @param {string} ssId - Spreadsheet ID
+ * @param {string} rangeA1 - Cleaned range
+ * @param {boolean} [useSheetsApi] - Read the grid in one call with the Sheets advanced service
+ * @return {Object} {
+ *   values (display), rawValues, formats: { backgrounds, fontColors, fontWeights, fontSizes, fontFamilies,
+ *   horizontalAligns, verticalAligns } (conditional formatting applied), flagged (cells colored by it),
+ *   richText (links and mixed formatting, see renderTableCellContent_),
+ *   merges: [{ row, column, numRows, numColumns }] (0-based, relative to the range), startCol, sheetId,
+ *   columnWidth(c), rowHeight(r) (c, r relative to the range), sizesPreloaded (sizes cost no extra calls) }
+ */
+function readTableGrid_(ssId, rangeA1, useSheetsApi) {
+  if (useSheetsApi) {
+    if (typeof Sheets === "undefined") {
+      Logger.log("⚠️ Table Warning: useSheetsAdvancedService is set but the Sheets service is not enabled in this project");
+    } else {
+      try {
+        return readTableGridFromApi_(ssId, rangeA1);
+      } catch (e) {
+        Logger.log(`⚠️ Table Warning: Sheets API read failed (${e.message}), reading the range instead`);
+      }
+    }
+  }
+  return readTableGridFromRange_(ssId, rangeA1);
+}
+
+// SpreadsheetApp: one batched call per attribute; conditional formats evaluated in script
+function readTableGridFromRange_(ssId, rangeA1) {
+  const range = openSpreadsheetCached_(ssId).getRange(rangeA1);
+  const sheet = range.getSheet();
+  const metadata = getSheetMetadata_(ssId, sheet);
+  const startRow = range.getRow();
   const startCol = range.getColumn();
-  const numCols = values[0].length;
-  const colWidths = [];
-  let totalTableWidth = 0;
-
-  for (let c = 0; c < numCols; c++) {
-    // Note: getColumnWidth is 1-based index
-    const colIndex = startCol + c;
-    let w = sheet.getColumnWidth(colIndex);
-    
-    // P2 §3.6: Check if column is hidden by user
-    if (sheet.isColumnHiddenByUser && sheet.isColumnHiddenByUser(colIndex)) {
-      w = 100; // Default width for hidden columns
-      Logger.log(`⚠️ Table Warning: Column ${c} is hidden, using default 100px`);
-    } else if (!w || w === 0 || w === null || w === undefined) {
-      // Fallback for any other unexpected values
-      w = 100;
-      Logger.log(`⚠️ Table Warning: Column ${c} has no width, using default 100px`);
+
+  const rawValues = range.getValues();
+  const formats = {
+    backgrounds: range.getBackgrounds(),
+    fontWeights: range.getFontWeights(),
+    fontColors: range.getFontColors(),
+    fontSizes: range.getFontSizes(),
+    horizontalAligns: range.getHorizontalAlignments(),
+    verticalAligns: range.getVerticalAlignments(),
+    fontFamilies: range.getFontFamilies()
+  };
+
+  // getBackgrounds() only returns static colors, so the sheet's own rules are evaluated here
+  const flagged = applySheetConditionalFormats_(metadata.conditionalFormatRules(), range, rawValues, formats);
+
+  // Links and partly bold / italic text; HYPERLINK() formulas are not links in rich text values
+  const formulas = range.getFormulas();
+  const richText = range.getRichTextValues().map((row, r) => row.map((value, c) =>
+    readRichTextValue_(value, getHyperlinkFormulaUrl_(formulas[r][c]), ssId)));
+
+  return {
+    values: range.getDisplayValues(),
+    rawValues: rawValues,
+    richText: richText,
+    formats: formats,
+    flagged: flagged,
+    merges: range.getMergedRanges().map(merge => ({
+      row: merge.getRow() - startRow,
+      column: merge.getColumn() - startCol,
+      numRows: merge.getNumRows(),
+      numColumns: merge.getNumColumns()
+    })),
+    startCol: startCol,
+    sheetId: sheet.getSheetId(),
+    columnWidth: (c) => metadata.columnWidth(startCol + c),
+    rowHeight: (r) => metadata.rowHeight(startRow + r),
+    sizesPreloaded: false
+  };
+}
+
+/**
+ * Sheets advanced service: values, formats (with conditional formatting already applied),
+ * merges and row / column sizes in a single request.
+ */
+function readTableGridFromApi_(ssId, rangeA1) {
+  const fields = "sheets(properties.sheetId,merges,data(startRow,startColumn," +
+    "rowMetadata(pixelSize),columnMetadata(pixelSize,hiddenByUser)," +
+    "rowData.values(formattedValue,effectiveValue,hyperlink," +
+    "textFormatRuns(startIndex,format(bold,italic,underline,strikethrough,link))," +
+    "userEnteredFormat(backgroundColor,textFormat(foregroundColor,bold))," +
+    "effectiveFormat(backgroundColor,horizontalAlignment,verticalAlignment,textFormat))))";
+  const sheetData = Sheets.Spreadsheets.get(ssId, { ranges: [rangeA1], includeGridData: true, fields: fields }).sheets[0];
+  const data = sheetData.data[0];
+  const startRow = data.startRow || 0;
+  const startColumn = data.startColumn || 0;
+  const rowMetadata = data.rowMetadata || [];
+  const columnMetadata = data.columnMetadata || [];
+  const rowData = data.rowData || [];
+
+  const grid = {
+    values: [], rawValues: [], flagged: [], richText: [],
+    formats: { backgrounds: [], fontWeights: [], fontColors: [], fontSizes: [], horizontalAligns: [], verticalAligns: [], fontFamilies: [] }
+  };
+
+  // Trailing empty rows and cells are left out of the response
+  for (let r = 0; r < rowMetadata.length; r++) {
+    const rowValues = (rowData[r] && rowData[r].values) || [];
+    Object.keys(grid).forEach(key => key === "formats" || grid[key].push([]));
+    Object.keys(grid.formats).forEach(key => grid.formats[key].push([]));
+
+    for (let c = 0; c < columnMetadata.length; c++) {
+      const cell = rowValues[c] || {};
+      const value = cell.effectiveValue || {};
+      const format = cell.effectiveFormat || {};
+      const text = format.textFormat || {};
+      const userFormat = cell.userEnteredFormat || {};
+      const rawValue = value.numberValue !== undefined ? value.numberValue
+        : value.boolValue !== undefined ? value.boolValue
+        : value.stringValue !== undefined ? value.stringValue : "";
+
+      grid.values[r].push(cell.formattedValue || "");
+      grid.rawValues[r].push(rawValue);
+      grid.richText[r].push(readApiRichText_(cell, text, ssId));
+      grid.formats.backgrounds[r].push(toHexColorFromApi_(format.backgroundColor, "#ffffff"));
+      grid.formats.fontColors[r].push(toHexColorFromApi_(text.foregroundColor, "#000000"));
+      grid.formats.fontWeights[r].push(text.bold ? "bold" : "normal");
+      grid.formats.fontSizes[r].push(text.fontSize || 10);
+      grid.formats.fontFamilies[r].push(text.fontFamily || "Arial");
+      grid.formats.horizontalAligns[r].push(format.horizontalAlignment
+        ? format.horizontalAlignment.toLowerCase()
+        : (value.numberValue !== undefined ? "right" : "left"));
+      grid.formats.verticalAligns[r].push((format.verticalAlignment || "BOTTOM").toLowerCase());
+      // Colors that differ from the ones set by hand come from conditional formatting
+      grid.flagged[r].push(
+        toHexColorFromApi_(format.backgroundColor, "#ffffff") !== toHexColorFromApi_(userFormat.backgroundColor, "#ffffff") ||
+        toHexColorFromApi_(text.foregroundColor, "#000000") !== toHexColorFromApi_((userFormat.textFormat || {}).foregroundColor, "#000000"));
     }
-    colWidths.push(w);
-    totalTableWidth += w;
-  }
-
-  // 4. HANDLE MERGED RANGES
-  const mergedRanges = range.getMergedRanges();
-  const numRows = values.length;
-
-  // Metadata matrix to track spans
-  let cellMeta = Array.from({ length: numRows }, () =>
-    Array.from({ length: numCols }, () => ({ rowSpan: 1, colSpan: 1, skip: false }))
-  );
-
-  const startRowIndex = range.getRow();
-  const startColIndex = range.getColumn();
-
-  mergedRanges.forEach(merge => {
-    const mergeStartRow = merge.getRow() - startRowIndex;
-    const mergeStartCol = merge.getColumn() - startColIndex;
-    const mergeNumRows = merge.getNumRows();
-    const mergeNumCols = merge.getNumColumns();
-
-    for (let r = 0; r < mergeNumRows; r++) {
-      for (let c = 0; c < mergeNumCols; c++) {
-        const targetRow = mergeStartRow + r;
-        const targetCol = mergeStartCol + c;
-
-        // Ensure we are inside the trimmed bounds
-        if (targetRow >= 0 && targetRow < numRows && targetCol >= 0 && targetCol < numCols) {
-          if (r === 0 && c === 0) {
-            cellMeta[targetRow][targetCol].rowSpan = mergeNumRows;
-            cellMeta[targetRow][targetCol].colSpan = mergeNumCols;
-          } else {
-            cellMeta[targetRow][targetCol].skip = true;
-          }
-        }
+  }
+
+  grid.merges = (sheetData.merges || []).map(merge => ({
+    row: (merge.startRowIndex || 0) - startRow,
+    column: (merge.startColumnIndex || 0) - startColumn,
+    numRows: merge.endRowIndex - (merge.startRowIndex || 0),
+    numColumns: merge.endColumnIndex - (merge.startColumnIndex || 0)
+  }));
+  grid.startCol = startColumn + 1;
+  grid.sheetId = sheetData.properties.sheetId;
+  grid.columnWidth = (c) => columnMetadata[c].hiddenByUser || !columnMetadata[c].pixelSize ? 100 : columnMetadata[c].pixelSize;
+  grid.rowHeight = (r) => rowMetadata[r].pixelSize || 21;
+  grid.sizesPreloaded = true;
+  return grid;
+}
+
+/**
+ * Column widths, row heights and conditional format rules of a sheet, read on first use
+ * and kept for the rest of the execution.
+ * @param {string} ssId - Spreadsheet ID
+ * @param {Sheet} sheet
+ * @return {Object} { columnWidth(column), rowHeight(row), conditionalFormatRules() } (1-based sheet positions)
+ */
+function getSheetMetadata_(ssId, sheet) {
+  const key = `${ssId}#${sheet.getSheetId()}`;
+  if (!_SHEET_METADATA_CACHE[key]) {
+    const widths = {};
+    const heights = {};
+    let rules = null;
+
+    _SHEET_METADATA_CACHE[key] = {
+      columnWidth: (column) => {
+        if (widths[column] === undefined) widths[column] = readColumnWidth_(sheet, column);
+        return widths[column];
+      },
+      rowHeight: (row) => {
+        if (heights[row] === undefined) heights[row] = sheet.getRowHeight(row);
+        return heights[row];
+      },
+      conditionalFormatRules: () => {
+        if (rules === null) rules = sheet.getConditionalFormatRules();
+        return rules;
       }
-    }
-  });
+    };
+  }
+  return _SHEET_METADATA_CACHE[key];
+}
+
+function readColumnWidth_(sheet, colIndex) {
+  // Note: getColumnWidth is 1-based index
+  let w = sheet.getColumnWidth(colIndex);
+
+  // P2 §3.6: Check if column is hidden by user
+  if (sheet.isColumnHiddenByUser && sheet.isColumnHiddenByUser(colIndex)) {
+    w = 100; // Default width for hidden columns
+    Logger.log(`⚠️ Table Warning: Column ${colIndex} is hidden, using default 100px`);
+  } else if (!w || w === 0 || w === null || w === undefined) {
+    // Fallback for any other unexpected values
+    w = 100;
+    Logger.log(`⚠️ Table Warning: Column ${colIndex} has no width, using default 100px`);
+  }
+  return w;
+}
+
+// Sheets API colors are { red, green, blue } fractions; missing channels are 0
+function toHexColorFromApi_(color, fallback) {
+  if (!color) return fallback;
+  return "#" + ["red", "green", "blue"]
+    .map(channel => ("0" + Math.round((color[channel] || 0) * 255).toString(16)).slice(-2))
+    .join("");
+}
+
+// "12 more rows – open sheet" below a truncated table
+function renderTruncationFooter_(hiddenRows, ssId, sheetId, rangeA1) {
+  const bang = rangeA1.lastIndexOf("!");
+  const rangePart = bang === -1 ? "" : `&range=${encodeURIComponent(rangeA1.substring(bang + 1))}`;
+  const url = `https://docs.google.com/spreadsheets/d/${ssId}/edit#gid=${sheetId}${rangePart}`;
+  return `<p style="margin: 4px 0 12px 0; font-family: Arial, sans-serif; font-size: 9pt; color: #666666;">` +
+    `${hiddenRows} more ${hiddenRows === 1 ? "row" : "rows"} – <a href="${url}">open sheet</a></p>`;
+}
+
+// ==========================================
+// RENDER MODES
+// ==========================================
+/**
+ * Table layouts, all built from the same selected cells. Signature: (table) => html
+ *   fixed       exact sheet column widths and row heights (default; may scroll on phones)
+ *   responsive  full-width table with percentage column widths, sheet formatting kept
+ *   cards       one stacked "Header: value" card per row, for narrow screens
+ *   minimal     plain table; only conditional format and highlight colors are kept
+ */
+const TABLE_RENDER_MODES = {
+  fixed: renderFixedTable_,
+  responsive: renderResponsiveTable_,
+  cards: renderTableCards_,
+  minimal: renderMinimalTable_
+};
 
-  // 5. BUILD HTML
+/**
+ * Layout for tables without a mode: option: the template's [TABLE_MODE] section, then the tableRenderMode setting.
+ * @param {Object} [context] - Render context ({ tableMode, config })
+ * @return {string} A key of TABLE_RENDER_MODES
+ */
+function getDefaultTableMode_(context) {
+  const candidates = [context && context.tableMode, context && context.config && context.config.tableRenderMode];
+  for (const candidate of candidates) {
+    const mode = String(candidate || "").toLowerCase();
+    if (isTableRenderMode_(mode)) return mode;
+  }
+  return "fixed";
+}
+
+function isTableRenderMode_(mode) {
+  return Object.prototype.hasOwnProperty.call(TABLE_RENDER_MODES, String(mode).toLowerCase());
+}
+
+function renderFixedTable_(table) {
   // table-layout: fixed enforces exact column widths
-  let html = `<table style="table-layout: fixed; width: ${totalTableWidth}px; border-collapse: collapse; border: 1px solid #cccccc; font-family: Arial, sans-serif; font-size: 10pt;">`;
+  let html = `<table style="table-layout: fixed; width: ${table.totalWidth}px; border-collapse: collapse; border: 1px solid #cccccc; font-family: Arial, sans-serif; font-size: 10pt;">`;
 
   // COLGROUP for rendering stability in Gmail
   html += '<colgroup>';
-  colWidths.forEach(w => { html += `<col style="width: ${w}px;">`; });
+  table.colWidths.forEach(w => { html += `<col style="width: ${w}px;">`; });
   html += '</colgroup>';
 
-  for (let i = 0; i < numRows; i++) {
-    // Note: getRowHeight is an API call per row.
-    // If table is >50 rows, this might slow down execution slightly but preserves look.
-    const rHeight = sheet.getRowHeight(startRowIndex + i);
-    html += `<tr style="height: ${rHeight}px;">`;
-
-    for (let j = 0; j < numCols; j++) {
-      if (cellMeta[i][j].skip) continue;
+  table.cells.forEach((row, i) => {
+    // Row heights are left out above TABLE_ROW_HEIGHT_LIMIT rows (getRowHeight is an API call per row)
+    html += table.rowHeight ? `<tr style="height: ${table.rowHeight(table.rows[i])}px;">` : '<tr>';
 
-      const cellText = values[i][j];
+    row.forEach((cell, j) => {
+      if (cell.skip) return;
 
       // Calculate width for merged cells
-      let cellWidth = colWidths[j];
-      if (cellMeta[i][j].colSpan > 1) {
-        cellWidth = 0;
-        for (let k = 0; k < cellMeta[i][j].colSpan; k++) {
-          cellWidth += colWidths[j + k];
-        }
-      }
+      const cellWidth = table.colWidths.slice(j, j + cell.colSpan).reduce((sum, w) => sum + w, 0);
 
-      // Attributes
-      const rowSpanAttr = cellMeta[i][j].rowSpan > 1 ? ` rowspan="${cellMeta[i][j].rowSpan}"` : "";
-      const colSpanAttr = cellMeta[i][j].colSpan > 1 ? ` colspan="${cellMeta[i][j].colSpan}"` : "";
-
-      // Styles
-      const styles = [
-        `border: 1px solid #cccccc`,
-        `padding: 4px 6px`,
+      html += renderTableCell_(table, cell, [
         `overflow: hidden`,
         `width: ${cellWidth}px`,
         `min-width: ${cellWidth}px`, // Enforce strict width
-        `max-width: ${cellWidth}px`,
-        `background-color: ${backgrounds[i][j]}`,
-        `color: ${fontColors[i][j]}`,
-        `font-weight: ${fontWeights[i][j]}`,
-        `font-size: ${fontSizes[i][j]}pt`,
-        `font-family: ${fontFamilies[i][j] || 'Arial'}, sans-serif`,
-        `text-align: ${horizontalAligns[i][j]}`,
-        `vertical-align: ${verticalAligns[i][j]}`,
-        `white-space: pre-wrap` // Preserves line breaks inside cell
-      ].join(";");
-
-      html += `<td${rowSpanAttr}${colSpanAttr} style="${styles}">${cellText}</td>`;
-    }
+        `max-width: ${cellWidth}px`
+      ]);
+    });
+
+    html += '</tr>';
+  });
+
+  return html + renderNoMatchingRows_(table) + '</table>';
+}
+
+function renderResponsiveTable_(table) {
+  // Shrinks to the screen, never wider than the sheet
+  let html = `<table style="width: 100%; max-width: ${table.totalWidth}px; border-collapse: collapse; border: 1px solid #cccccc; font-family: Arial, sans-serif; font-size: 10pt;">`;
+
+  html += '<colgroup>';
+  table.colWidths.forEach(w => { html += `<col style="width: ${(w / table.totalWidth * 100).toFixed(1)}%;">`; });
+  html += '</colgroup>';
 
+  table.cells.forEach(row => {
+    html += '<tr>';
+    row.forEach(cell => {
+      if (!cell.skip) html += renderTableCell_(table, cell, [`word-wrap: break-word`, `overflow-wrap: anywhere`]);
+    });
     html += '</tr>';
+  });
+
+  return html + renderNoMatchingRows_(table) + '</table>';
+}
+
+function renderTableCards_(table) {
+  const headerCells = table.cells[0];
+  const cards = table.cells.slice(1).map(row => {
+    const lines = row.map((cell, j) => {
+      const label = renderTableCellContent_(table, headerCells[j].r, headerCells[j].c);
+      // Merged cells repeat their value on every card they cover
+      const value = renderTableCellContent_(table, cell.r, cell.c);
+      const flag = getFlaggedCellStyle_(table, cell);
+      return `<div style="padding: 2px 0;"><span style="color: #666666;">${label}:</span> ` +
+        (flag ? `<span style="${flag};padding: 0 2px;">${value}</span>` : value) + `</div>`;
+    });
+    return `<div style="border: 1px solid #cccccc; border-radius: 4px; padding: 8px 10px; margin: 0 0 8px 0; font-family: Arial, sans-serif; font-size: 10pt;">${lines.join("")}</div>`;
+  });
+
+  if (cards.length === 0 && table.values.length > 1) return "<p><i>(No matching rows)</i></p>";
+  return `<div style="max-width: 480px;">${cards.join("")}</div>`;
+}
+
+function renderMinimalTable_(table) {
+  let html = '<table style="border-collapse: collapse; font-family: Arial, sans-serif; font-size: 10pt;">';
+
+  table.cells.forEach((row, i) => {
+    html += '<tr>';
+    row.forEach(cell => {
+      if (cell.skip) return;
+      const styles = [
+        `padding: 4px 8px`,
+        `border-bottom: 1px solid #dddddd`,
+        `text-align: left`,
+        `vertical-align: top`,
+        `white-space: pre-wrap`,
+        i === 0 ? `font-weight: bold` : getFlaggedCellStyle_(table, cell)
+      ].filter(style => style);
+      html += `<td${getSpanAttributes_(cell)} style="${styles.join(";")}">${renderTableCellContent_(table, cell.r, cell.c)}</td>`;
+    });
+    html += '</tr>';
+  });
+
+  return html + renderNoMatchingRows_(table) + '</table>';
+}
+
+// A cell with the sheet's formatting; extra styles set the layout
+function renderTableCell_(table, cell, layoutStyles) {
+  const f = table.formats;
+  const r = cell.r;
+  const c = cell.c;
+
+  // Styles (value and formatting come from the source cell - the top-left cell of a merge)
+  const styles = [
+    `border: 1px solid #cccccc`,
+    `padding: 4px 6px`,
+    ...layoutStyles,
+    `background-color: ${f.backgrounds[r][c]}`,
+    `color: ${f.fontColors[r][c]}`,
+    `font-weight: ${f.fontWeights[r][c]}`,
+    `font-size: ${f.fontSizes[r][c]}pt`,
+    `font-family: ${f.fontFamilies[r][c] || 'Arial'}, sans-serif`,
+    `text-align: ${f.horizontalAligns[r][c]}`,
+    `vertical-align: ${f.verticalAligns[r][c]}`,
+    `white-space: pre-wrap` // Preserves line breaks inside cell
+  ].join(";");
+
+  return `<td${getSpanAttributes_(cell)} style="${styles}">${renderTableCellContent_(table, r, c)}</td>`;
+}
+
+function getSpanAttributes_(cell) {
+  return (cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : "") + (cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : "");
+}
+
+// Colors from conditional formats / highlight rules (empty for other cells)
+function getFlaggedCellStyle_(table, cell) {
+  if (!table.flagged[cell.r][cell.c]) return "";
+  const f = table.formats;
+  return `background-color: ${f.backgrounds[cell.r][cell.c]};color: ${f.fontColors[cell.r][cell.c]};font-weight: ${f.fontWeights[cell.r][cell.c]}`;
+}
+
+// A where: filter that matches nothing keeps the header
+function renderNoMatchingRows_(table) {
+  if (table.rows.length > 1 || table.values.length === 1) return "";
+  return `<tr><td colspan="${table.cells[0].length}" style="border: 1px solid #cccccc; padding: 4px 6px; color: #666666;"><i>(No matching rows)</i></td></tr>`;
+}
+
+// ==========================================
+// CELL CONTENTS
+// ==========================================
+// Run styles rendered as tags when only part of a cell has them
+// (a style shared by the whole cell is already set on the <td>)
+const TABLE_RUN_TAGS = { bold: "b", italic: "i", underline: "u", strikethrough: "s" };
+
+/**
+ * A cell's text as HTML: escaped, line breaks kept, with its links and mixed formatting.
+ * Numbers and dates are shown as formatted in the sheet (display values).
+ * @param {Object} table - See getHtmlTableFromSheet_ (richText is optional)
+ * @param {number} r - Row in table.values
+ * @param {number} c - Column in table.values
+ * @return {string} HTML
+ */
+function renderTableCellContent_(table, r, c) {
+  const text = table.values[r][c];
+  const rich = table.richText && table.richText[r][c];
+  if (!rich) return escapeTableText_(text);
+
+  const runs = rich.runs.length > 0 ? rich.runs : [{ text: text }];
+  const mixedStyles = Object.keys(TABLE_RUN_TAGS).filter(style => runs.some(run => Boolean(run[style]) !== Boolean(runs[0][style])));
+
+  const html = runs.map(run => {
+    let chunk = escapeTableText_(run.text);
+    mixedStyles.forEach(style => {
+      if (run[style]) chunk = `<${TABLE_RUN_TAGS[style]}>${chunk}</${TABLE_RUN_TAGS[style]}>`;
+    });
+    // A link on the whole cell wraps every run
+    return run.link && !rich.link ? renderTableLink_(run.link, chunk) : chunk;
+  }).join("");
+
+  return rich.link ? renderTableLink_(rich.link, html) : html;
+}
+
+function escapeTableText_(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/\r?\n/g, "<br>");
+}
+
+// Only web and mail links; anything else (javascript:, file paths) keeps its text without the anchor
+function renderTableLink_(url, html) {
+  if (!/^(https?:|mailto:)/i.test(url)) return html;
+  return `<a href="${url.replace(/&/g, "&amp;").replace(/"/g, "&quot;")}">${html}</a>`;
+}
+
+/**
+ * Links and text runs of a SpreadsheetApp RichTextValue.
+ * @param {RichTextValue} value - null for numbers, dates and booleans
+ * @param {string} formulaUrl - From getHyperlinkFormulaUrl_
+ * @param {string} ssId - Links to other tabs (#gid=...) are made absolute
+ * @return {Object} { link, runs: [{ text, link, bold, italic, underline, strikethrough }] }, or null for plain cells
+ */
+function readRichTextValue_(value, formulaUrl, ssId) {
+  const runs = value ? value.getRuns() : [];
+  const link = (value && value.getLinkUrl()) || formulaUrl;
+  const linked = runs.some(run => run.getLinkUrl());
+  if (runs.length < 2 && !link && !linked) return null;
+
+  return {
+    link: resolveSheetLink_(link, ssId),
+    runs: runs.length < 2 && !linked ? [] : runs.map(run => {
+      const style = run.getTextStyle();
+      return {
+        text: run.getText(),
+        link: resolveSheetLink_(run.getLinkUrl(), ssId),
+        bold: style.isBold(),
+        italic: style.isItalic(),
+        underline: style.isUnderline(),
+        strikethrough: style.isStrikethrough()
+      };
+    })
+  };
+}
+
+/**
+ * Same as readRichTextValue_ for a Sheets API CellData; hyperlink covers HYPERLINK() formulas.
+ * Run formats leave out what they inherit from the cell.
+ */
+function readApiRichText_(cell, cellTextFormat, ssId) {
+  const runs = cell.textFormatRuns || [];
+  const text = cell.formattedValue || "";
+  const linked = runs.some(run => run.format && run.format.link);
+  if (runs.length < 2 && !cell.hyperlink && !linked) return null;
+
+  return {
+    link: resolveSheetLink_(cell.hyperlink && !linked ? cell.hyperlink : null, ssId),
+    runs: runs.map((run, i) => {
+      const format = run.format || {};
+      const inherited = (style) => (format[style] !== undefined ? format[style] : Boolean(cellTextFormat[style]));
+      return {
+        text: text.substring(run.startIndex || 0, i + 1 < runs.length ? runs[i + 1].startIndex : text.length),
+        link: resolveSheetLink_(format.link && format.link.uri, ssId),
+        bold: inherited("bold"),
+        italic: inherited("italic"),
+        underline: inherited("underline"),
+        strikethrough: inherited("strikethrough")
+      };
+    })
+  };
+}
+
+/**
+ * URL of a =HYPERLINK("url", "label") formula with a literal URL.
+ * @param {string} formula - From getFormulas() ("" for plain values)
+ * @return {string|null}
+ */
+function getHyperlinkFormulaUrl_(formula) {
+  const match = String(formula || "").match(/^=\s*HYPERLINK\s*\(\s*"((?:[^"]|"")*)"/i);
+  return match ? match[1].replace(/""/g, '"') : null;
+}
+
+// Links to a range or tab of the same spreadsheet ("#gid=0&range=A1") only work inside Sheets
+function resolveSheetLink_(url, ssId) {
+  if (!url) return null;
+  return url.charAt(0) === "#" ? `https://docs.google.com/spreadsheets/d/${ssId}/edit${url}` : url;
+}
+
+
+// ==========================================
+// TAG OPTIONS & ROW / COLUMN SELECTION
+// ==========================================
+/**
+ * Reads the options of a [Table] tag:
+ *   columns: A, C, Owner     sheet letters or header names, in display order
+ *   where: Team = 'Ops' AND Status != Done   {{#IF}} condition, header names are the row's values
+ *   sort: Due Date, Priority desc
+ *   limit: 10                first N rows after where / sort
+ *   max-rows: 50             like limit, with a "N more rows - open sheet" link below the table
+ *   hide-empty-columns       drops columns with no value in the selected rows
+ *   highlight: C > 95% green (see parseTableHighlightRules_)
+ *   mode: cards              layout (see TABLE_RENDER_MODES)
+ * @param {Object} raw - Option values from the parser (node.options)
+ * @param {Object} [context] - Render context; where: conditions can use its variables
+ * @param {Function} onIssue - Called for options that cannot be read (they are ignored)
+ * @return {Object} { highlight, columns, where: record => boolean, sort: [{ column, descending }], limit, maxRows, hideEmptyColumns, mode }
+ */
+function parseTableOptions_(raw, context, onIssue) {
+  const options = {};
+
+  if (raw.highlight) {
+    try {
+      options.highlight = parseTableHighlightRules_(raw.highlight);
+    } catch (e) {
+      onIssue(e.message);
+    }
+  }
+
+  if (raw.columns) {
+    options.columns = splitTemplateExpression_(raw.columns, ",").filter(c => c).map(c => c.replace(/^(["'])(.*)\1$/, "$2"));
+  }
+
+  if (raw.where) {
+    const error = validateCondition_(raw.where);
+    if (error) {
+      onIssue(`Invalid where: condition "${raw.where}": ${error}`);
+    } else {
+      // Row values are looked up before the template's own variables
+      options.where = (record) => evaluateCondition_(raw.where, {
+        ...context,
+        variables: { ...(context && context.variables), ...record }
+      });
+    }
+  }
+
+  if (raw.sort) {
+    options.sort = splitTemplateExpression_(raw.sort, ",").filter(key => key).map(key => {
+      const match = key.match(/^(.+?)(?:\s+(asc|desc))?$/i);
+      return { column: match[1].replace(/^(["'])(.*)\1$/, "$2"), descending: /^desc$/i.test(match[2] || "") };
+    });
+  }
+
+  ["limit", "max-rows"].forEach(name => {
+    if (!raw[name]) return;
+    if (/^\d+$/.test(raw[name]) && Number(raw[name]) > 0) options[name === "limit" ? "limit" : "maxRows"] = Number(raw[name]);
+    else onIssue(`Invalid ${name}: "${raw[name]}". Expected a number of rows, e.g. ${name}: 10`);
+  });
+
+  if (raw["hide-empty-columns"]) options.hideEmptyColumns = true;
+
+  if (raw.mode) {
+    const mode = raw.mode.toLowerCase();
+    if (isTableRenderMode_(mode)) options.mode = mode;
+    else onIssue(`Unknown table mode "${raw.mode}". Use one of: ${Object.keys(TABLE_RENDER_MODES).join(", ")}`);
+  }
+
+  return options;
+}
+
+/**
+ * Picks the rows and columns to show. The first row is the header and is always kept.
+ * @param {string[][]} values - Display values (where: and empty checks)
+ * @param {Object[][]} rawValues - Values (sort: numbers and dates sort as such)
+ * @param {Object[][]} origins - From getMergeOrigins_
+ * @param {number} startCol - Sheet column of the first table column (1-based)
+ * @param {Object} options - From parseTableOptions_
+ * @param {Function} onIssue - Called for columns that are not in the table
+ * @return {Object} { rows: number[], cols: number[] } indexes into values, in display order
+ */
+function selectTableLayout_(values, rawValues, origins, startCol, options, onIssue) {
+  const headers = values[0].map(h => String(h).trim());
+  const lowerHeaders = headers.map(h => h.toLowerCase());
+  const source = (matrix, r, c) => {
+    const origin = origins[r][c];
+    return origin ? matrix[origin.r][origin.c] : matrix[r][c];
+  };
+  const resolve = (column, option) => {
+    const index = findTableColumn_(column, lowerHeaders, startCol);
+    if (index === -1) onIssue(`${option}: column '${column}' is not in the table`);
+    return index;
+  };
+
+  let rows = [];
+  for (let r = 1; r < values.length; r++) rows.push(r);
+
+  if (options.where) {
+    rows = rows.filter(r => {
+      const record = {};
+      headers.forEach((header, c) => {
+        if (header) record[header] = source(values, r, c);
+      });
+      return options.where(record);
+    });
+  }
+
+  if (options.sort) {
+    const keys = options.sort
+      .map(key => ({ index: resolve(key.column, "sort"), descending: key.descending }))
+      .filter(key => key.index !== -1);
+
+    rows.sort((a, b) => {
+      for (const key of keys) {
+        const order = compareTableValues_(source(rawValues, a, key.index), source(rawValues, b, key.index), key.descending);
+        if (order !== 0) return order;
+      }
+      return a - b;
+    });
+  }
+
+  if (options.limit) rows = rows.slice(0, options.limit);
+
+  let cols = headers.map((_, c) => c);
+  if (options.columns) {
+    const selected = options.columns.map(column => resolve(column, "columns")).filter(c => c !== -1);
+    if (selected.length > 0) cols = selected;
+  }
+  if (options.hideEmptyColumns && rows.length > 0) {
+    cols = cols.filter(c => rows.some(r => String(source(values, r, c)).trim() !== ""));
   }
 
-  html += '</table>';
-  return html;
+  return { rows: [0].concat(rows), cols: cols };
+}
+
+/**
+ * For every cell inside a merged range, the position of the merge's top-left cell
+ * (clamped to the table). Other cells are null.
+ * @param {Object[]} merges - [{ row, column, numRows, numColumns }], 0-based relative to the table
+ * @return {Object[][]} origins[r][c] = { r, c } or null
+ */
+function getMergeOrigins_(merges, numRows, numCols) {
+  const origins = Array.from({ length: numRows }, () => new Array(numCols).fill(null));
+
+  merges.forEach(merge => {
+    const origin = { r: Math.max(merge.row, 0), c: Math.max(merge.column, 0) };
+
+    for (let r = origin.r; r < Math.min(merge.row + merge.numRows, numRows); r++) {
+      for (let c = origin.c; c < Math.min(merge.column + merge.numColumns, numCols); c++) {
+        origins[r][c] = origin;
+      }
+    }
+  });
+
+  return origins;
+}
+
+/**
+ * Works out spans for the selected rows and columns. A merge whose remaining cells are
+ * still next to each other keeps its rowspan / colspan; one split apart by sorting or
+ * column order repeats the merged value in each of its cells.
+ * @return {Object[][]} cells[i][j] = { r, c, rowSpan, colSpan, skip } (r, c: source cell for value and format)
+ */
+function layoutTableCells_(rows, cols, origins) {
+  const cells = rows.map(r => cols.map(c => ({ r: r, c: c, rowSpan: 1, colSpan: 1, skip: false })));
+  const groups = new Map(); // merge origin -> [{ i, j }]
+
+  rows.forEach((r, i) => cols.forEach((c, j) => {
+    const origin = origins[r][c];
+    if (!origin) return;
+    if (!groups.has(origin)) groups.set(origin, []);
+    groups.get(origin).push({ i: i, j: j });
+  }));
+
+  groups.forEach((positions, origin) => {
+    const outRows = [...new Set(positions.map(p => p.i))].sort((a, b) => a - b);
+    const outCols = [...new Set(positions.map(p => p.j))].sort((a, b) => a - b);
+    const adjacent = (list) => list[list.length - 1] - list[0] === list.length - 1;
+    const together = adjacent(outRows) && adjacent(outCols);
+
+    positions.forEach(p => {
+      const cell = cells[p.i][p.j];
+      cell.r = origin.r;
+      cell.c = origin.c;
+      cell.skip = together && (p.i !== outRows[0] || p.j !== outCols[0]);
+    });
+
+    if (together) {
+      cells[outRows[0]][outCols[0]].rowSpan = outRows.length;
+      cells[outRows[0]][outCols[0]].colSpan = outCols.length;
+    }
+  });
+
+  return cells;
+}
+
+// Sort order for sheet values: numbers and dates by value, text case-insensitively; empty cells last
+function compareTableValues_(a, b, descending) {
+  const emptyA = a === "" || a === null || a === undefined;
+  const emptyB = b === "" || b === null || b === undefined;
+  if (emptyA || emptyB) return emptyA === emptyB ? 0 : (emptyA ? 1 : -1);
+
+  let order;
+  if ((typeof a === "number" || a instanceof Date) && (typeof b === "number" || b instanceof Date)) {
+    order = Number(a) - Number(b);
+  } else {
+    order = String(a).localeCompare(String(b), undefined, { sensitivity: "base", numeric: true });
+  }
+  return descending ? -order : order;
+}
+
+// ==========================================
+// CONDITIONAL FORMATTING & HIGHLIGHT RULES
+// ==========================================
+// Named colors for highlight rules: light background, dark text (Sheets' conditional format palette)
+const TABLE_HIGHLIGHT_COLORS = {
+  green: { background: "#b7e1cd", color: "#0d652d" },
+  red: { background: "#f4c7c3", color: "#a50e0e" },
+  amber: { background: "#fce8b2", color: "#7f6000" },
+  yellow: { background: "#fff2cc", color: "#7f6000" },
+  blue: { background: "#c9daf8", color: "#1c4587" },
+  grey: { background: "#efefef", color: "#434343" },
+  gray: { background: "#efefef", color: "#434343" }
+};
+
+/**
+ * Parses the highlight option of a [Table] tag. Rules are comma-separated; the first
+ * matching rule colors a cell. Columns are sheet letters or header names.
+ * Input:  C > 95% green, C < 80% red bold, Status = 'At Risk' amber row
+ * @param {string} text - Healed option value
+ * @return {Object[]} [{ column, operator, value, background, color, bold, row, raw }]
+ * @throws {Error} If a rule cannot be read
+ */
+function parseTableHighlightRules_(text) {
+  return splitTemplateExpression_(text, ",").filter(part => part).map(raw => {
+    const match = raw.match(/^(.+?)\s*(>=|<=|!=|<>|==|=|>|<)\s*(.+)$/) || raw.match(/^(.+?)\s+(CONTAINS)\s+(.+)$/i);
+    if (!match) throw new Error(`Invalid highlight rule "${raw}". Expected e.g. C > 95% green`);
+
+    const rule = { column: match[1].trim().replace(/^(["'])(.*)\1$/, "$2"), operator: match[2].toUpperCase(), raw: raw };
+
+    // Style words are read from the end: <value> <color> [bold] [row]
+    const words = match[3].trim().split(/\s+/);
+    while (words.length > 1) {
+      const word = words[words.length - 1].toLowerCase();
+      if (word === "bold" || word === "row") rule[word] = true;
+      else if (TABLE_HIGHLIGHT_COLORS[word]) Object.assign(rule, TABLE_HIGHLIGHT_COLORS[word]);
+      else if (/^#[0-9a-f]{3}(?:[0-9a-f]{3})?$/.test(word)) rule.background = word;
+      else break;
+      words.pop();
+    }
+
+    if (!rule.background) throw new Error(`Highlight rule "${raw}" needs a color (${Object.keys(TABLE_HIGHLIGHT_COLORS).join(", ")} or #hex)`);
+    rule.value = words.join(" ").replace(/^(["'])(.*)\1$/, "$2");
+    return rule;
+  });
+}
+
+/**
+ * Applies highlight rules to the formatting matrices (display values; the header row is skipped).
+ * Empty cells only match = and != rules.
+ * @param {Object[]} rules - From parseTableHighlightRules_
+ * @param {string[][]} values - Display values, header row first
+ * @param {number} startCol - Sheet column of the first table column (1-based)
+ * @param {Object} formats - { backgrounds, fontColors, fontWeights } (modified)
+ * @param {Function} onIssue - Called for rules whose column is not in the table
+ * @return {boolean[][]} Cells a rule colored
+ */
+function applyTableHighlights_(rules, values, startCol, formats, onIssue) {
+  const headers = values[0].map(h => String(h).trim().toLowerCase());
+  const styled = values.map(row => row.map(() => false));
+
+  rules.forEach(rule => {
+    const column = findTableColumn_(rule.column, headers, startCol);
+    if (column === -1) {
+      onIssue(`Highlight rule "${rule.raw}": column '${rule.column}' is not in the table`);
+      return;
+    }
+
+    for (let i = 1; i < values.length; i++) {
+      const cell = String(values[i][column]).trim();
+      if (cell === "" && !["=", "==", "!=", "<>"].includes(rule.operator)) continue;
+      if (!compareConditionValues_(cell, rule.operator, rule.value)) continue;
+
+      const targets = rule.row ? values[i].map((_, j) => j) : [column];
+      targets.filter(j => !styled[i][j]).forEach(j => {
+        styled[i][j] = true;
+        formats.backgrounds[i][j] = rule.background;
+        if (rule.color) formats.fontColors[i][j] = rule.color;
+        if (rule.bold) formats.fontWeights[i][j] = "bold";
+      });
+    }
+  });
+
+  return styled;
+}
+
+/**
+ * Evaluates the sheet's conditional format rules for the table range: single-color rules
+ * (number, text and empty-cell conditions) and color scales. Custom formulas and date
+ * conditions cannot be evaluated outside Sheets; those rules are skipped with a log line.
+ * @param {ConditionalFormatRule[]} rules - The sheet's rules
+ * @param {Range} range - The table range
+ * @param {Object[][]} values - Values of the range (getValues)
+ * @param {Object} formats - { backgrounds, fontColors, fontWeights } (modified)
+ * @return {boolean[][]} Cells a rule colored
+ */
+function applySheetConditionalFormats_(rules, range, values, formats) {
+  const styled = formats.backgrounds.map(row => row.map(() => false));
+  if (rules.length === 0) return styled;
+
+  const top = range.getRow();
+  const left = range.getColumn();
+
+  // Rules are in priority order: the first one that matches a cell sets its format
+  rules.forEach(rule => {
+    const condition = rule.getBooleanCondition();
+    const gradient = condition ? null : rule.getGradientCondition();
+    const scale = gradient ? buildColorScale_(gradient, rule.getRanges()) : null;
+    if (condition && matchesBooleanCondition_(condition, "") === null) {
+      Logger.log(`⚠️ Table Warning: Conditional format ${condition.getCriteriaType()} is not supported, skipped`);
+      return;
+    }
+
+    rule.getRanges().forEach(ruleRange => {
+      const rowStart = Math.max(ruleRange.getRow() - top, 0);
+      const rowEnd = Math.min(ruleRange.getRow() + ruleRange.getNumRows() - top, values.length);
+      const colStart = Math.max(ruleRange.getColumn() - left, 0);
+      const colEnd = Math.min(ruleRange.getColumn() + ruleRange.getNumColumns() - left, values[0].length);
+
+      for (let i = rowStart; i < rowEnd; i++) {
+        for (let j = colStart; j < colEnd; j++) {
+          if (styled[i][j]) continue;
+
+          if (condition) {
+            if (!matchesBooleanCondition_(condition, values[i][j])) continue;
+
+            const background = toHexColor_(condition.getBackgroundObject());
+            const fontColor = toHexColor_(condition.getFontColorObject());
+            if (background) formats.backgrounds[i][j] = background;
+            if (fontColor) formats.fontColors[i][j] = fontColor;
+            if (condition.getBold()) formats.fontWeights[i][j] = "bold";
+          } else {
+            if (!scale || typeof values[i][j] !== "number") continue;
+            formats.backgrounds[i][j] = interpolateColorScale_(scale, values[i][j]);
+          }
+          styled[i][j] = true;
+        }
+      }
+    });
+  });
+
+  return styled;
+}
+
+/**
+ * @return {boolean|null} Whether the value meets the condition, or null if the criteria type is not supported
+ */
+function matchesBooleanCondition_(condition, value) {
+  const args = condition.getCriteriaValues();
+  // Criteria that reference other cells ("=B1") need Sheets to evaluate them
+  if (args.some(arg => typeof arg === "string" && arg.charAt(0) === "=")) return null;
+
+  const isNumber = typeof value === "number";
+  const number = Number(value);
+  const text = value instanceof Date ? "" : String(value).toLowerCase();
+  const argText = String(args[0]).toLowerCase();
+  const low = Math.min(Number(args[0]), Number(args[1]));
+  const high = Math.max(Number(args[0]), Number(args[1]));
+
+  switch (String(condition.getCriteriaType())) {
+    case "CELL_EMPTY": return value === "";
+    case "CELL_NOT_EMPTY": return value !== "";
+    case "NUMBER_GREATER_THAN": return isNumber && number > Number(args[0]);
+    case "NUMBER_GREATER_THAN_OR_EQUAL_TO": return isNumber && number >= Number(args[0]);
+    case "NUMBER_LESS_THAN": return isNumber && number < Number(args[0]);
+    case "NUMBER_LESS_THAN_OR_EQUAL_TO": return isNumber && number <= Number(args[0]);
+    case "NUMBER_EQUAL_TO": return isNumber && number === Number(args[0]);
+    case "NUMBER_NOT_EQUAL_TO": return !isNumber || number !== Number(args[0]);
+    case "NUMBER_BETWEEN": return isNumber && number >= low && number <= high;
+    case "NUMBER_NOT_BETWEEN": return isNumber && (number < low || number > high);
+    case "TEXT_CONTAINS": return text.includes(argText);
+    case "TEXT_DOES_NOT_CONTAIN": return !text.includes(argText);
+    case "TEXT_STARTS_WITH": return text.startsWith(argText);
+    case "TEXT_ENDS_WITH": return text.endsWith(argText);
+    case "TEXT_EQUAL_TO": return text === argText;
+    default: return null;
+  }
+}
+
+/**
+ * Reads the points of a color scale: [{ value, color }] from min to max,
+ * with MIN / MAX / PERCENT / PERCENTILE worked out over the numbers in the rule's ranges.
+ * @return {Object[]|null} Points, or null if the scale cannot be read
+ */
+function buildColorScale_(gradient, ruleRanges) {
+  const numbers = [];
+  ruleRanges.forEach(r => r.getValues().forEach(row => row.forEach(v => {
+    if (typeof v === "number") numbers.push(v);
+  })));
+  if (numbers.length === 0) return null;
+  numbers.sort((a, b) => a - b);
+
+  const min = numbers[0];
+  const max = numbers[numbers.length - 1];
+  const pointValue = (type, value) => {
+    switch (String(type)) {
+      case "MIN": return min;
+      case "MAX": return max;
+      case "NUMBER": return Number(value);
+      case "PERCENT": return min + (max - min) * Number(value) / 100;
+      case "PERCENTILE": {
+        const position = (numbers.length - 1) * Number(value) / 100;
+        const below = Math.floor(position);
+        const above = Math.min(below + 1, numbers.length - 1);
+        return numbers[below] + (numbers[above] - numbers[below]) * (position - below);
+      }
+      default: return NaN;
+    }
+  };
+
+  const points = [
+    { value: pointValue(gradient.getMinType() || "MIN", gradient.getMinValue()), color: toHexColor_(gradient.getMinColorObject()) },
+    { value: gradient.getMidType() ? pointValue(gradient.getMidType(), gradient.getMidValue()) : NaN, color: toHexColor_(gradient.getMidColorObject()) },
+    { value: pointValue(gradient.getMaxType() || "MAX", gradient.getMaxValue()), color: toHexColor_(gradient.getMaxColorObject()) }
+  ].filter(point => !isNaN(point.value) && point.color);
+
+  return points.length >= 2 ? points : null;
+}
+
+function interpolateColorScale_(points, value) {
+  if (value <= points[0].value) return points[0].color;
+  for (let k = 1; k < points.length; k++) {
+    const from = points[k - 1];
+    const to = points[k];
+    if (value <= to.value) {
+      const ratio = to.value === from.value ? 1 : (value - from.value) / (to.value - from.value);
+      return mixHexColors_(from.color, to.color, ratio);
+    }
+  }
+  return points[points.length - 1].color;
+}
+
+function mixHexColors_(from, to, ratio) {
+  const channel = (hex, k) => parseInt(hex.substr(1 + k * 2, 2), 16);
+  let mixed = "#";
+  for (let k = 0; k < 3; k++) {
+    const value = Math.round(channel(from, k) + (channel(to, k) - channel(from, k)) * ratio);
+    mixed += ("0" + value.toString(16)).slice(-2);
+  }
+  return mixed;
+}
+
+// Theme colors cannot be read as RGB outside Sheets; those are left unset
+function toHexColor_(color) {
+  try {
+    return color ? color.asRgbColor().asHexString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Sheet column letter (C, AB) or header name -> 0-based table column, or -1
+function findTableColumn_(column, headers, startCol) {
+  const headerIndex = headers.indexOf(column.toLowerCase());
+  if (headerIndex !== -1) return headerIndex;
+  if (!/^[A-Z]{1,3}$/i.test(column)) return -1;
+
+  const sheetColumn = column.toUpperCase().split("").reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0);
+  const index = sheetColumn - startCol;
+  return index >= 0 && index < headers.length ? index : -1;
 }
@@ -0,0 +1,332 @@
+/*
+MODULE: DocHtmlConverter
+---------------------------------------------------
+Converts Google Docs body elements into Gmail-safe
+HTML: headings, nested ul/ol lists, paragraph
+alignment/indentation, text styles, inline images
+and tables.
+Inline images are registered on the render context
+and referenced by cid: (see registerInlineImage_).
+---------------------------------------------------
+*/
+
+// Docs defaults: runs using these are not given an explicit style
+const DOC_DEFAULT_FONT_SIZE = 11;
+const DOC_DEFAULT_FONT_FAMILY = "Arial";
+
+const DOC_HEADING_TAGS = {
+  TITLE: { tag: "h1", style: "font-size:26px;margin:16px 0 8px;" },
+  HEADING1: { tag: "h1", style: "font-size:22px;margin:16px 0 8px;" },
+  HEADING2: { tag: "h2", style: "font-size:18px;margin:14px 0 6px;" },
+  HEADING3: { tag: "h3", style: "font-size:16px;margin:12px 0 6px;" },
+  HEADING4: { tag: "h4", style: "font-size:14px;margin:10px 0 4px;" },
+  HEADING5: { tag: "h5", style: "font-size:12px;margin:10px 0 4px;" },
+  HEADING6: { tag: "h6", style: "font-size:11px;margin:10px 0 4px;font-style:italic;" },
+  SUBTITLE: { tag: "h2", style: "font-size:15px;margin:0 0 12px;font-weight:normal;color:#666666;" }
+};
+
+// Glyph type -> list tag + CSS list-style-type
+const DOC_LIST_STYLES = {
+  BULLET: { tag: "ul", type: "disc" },
+  HOLLOW_BULLET: { tag: "ul", type: "circle" },
+  SQUARE_BULLET: { tag: "ul", type: "square" },
+  NUMBER: { tag: "ol", type: "decimal" },
+  LATIN_UPPER: { tag: "ol", type: "upper-alpha" },
+  LATIN_LOWER: { tag: "ol", type: "lower-alpha" },
+  ROMAN_UPPER: { tag: "ol", type: "upper-roman" },
+  ROMAN_LOWER: { tag: "ol", type: "lower-roman" }
+};
+
+// A paragraph holding only block markers ({{#IF ...}}, {{/EACH}}) stays inside an open list
+const STANDALONE_BLOCK_MARKER_REGEX = /^(\s*\{\{\s*(?:#IF|#EACH|#ELSE|\/IF|\/EACH)\b[^{}]*\}\})+\s*$/i;
+
+/**
+ * Converts a sequence of body elements to HTML.
+ * Consecutive list items are grouped into <ul>/<ol> by list ID and nesting level,
+ * so the elements must be passed together rather than one at a time.
+ * @param {Element[]} elements - Paragraphs, list items, tables, horizontal rules
+ * @param {Object} [context] - Render context; collects inline images (see registerInlineImage_)
+ * @return {string} HTML
+ */
+function convertElementsToHtml_(elements, context) {
+  const openLists = []; // [{ listId, level, tag, itemOpen }]
+  const counters = {};  // "listId:level" -> items rendered, so numbering continues after interruptions
+  let html = "";
+
+  elements.forEach(element => {
+    const type = element.getType();
+
+    if (type === DocumentApp.ElementType.LIST_ITEM) {
+      html += openListItem_(element, openLists, counters, context);
+      return;
+    }
+
+    // Block markers between list items must not split the list
+    if (openLists.length > 0 && type === DocumentApp.ElementType.PARAGRAPH &&
+      STANDALONE_BLOCK_MARKER_REGEX.test(element.getText())) {
+      const list = openLists[openLists.length - 1];
+      if (list.itemOpen) {
+        html += "</li>";
+        list.itemOpen = false;
+      }
+      html += element.getText().trim();
+      return;
+    }
+
+    html += closeLists_(openLists, 0) + convertElementToHtml_(element, context);
+  });
+
+  return html + closeLists_(openLists, 0);
+}
+
+/**
+ * Converts a single element. List items are wrapped in their own list;
+ * use convertElementsToHtml_ for a sequence of elements.
+ * @param {Element} element
+ * @param {Object} [context] - Render context (inline images)
+ * @return {string} HTML
+ */
+function convertElementToHtml_(element, context) {
+  const type = element.getType();
+
+  if (type === DocumentApp.ElementType.PARAGRAPH) {
+    const content = getParagraphContentHtml_(element, context);
+    if (content === "") return "<br>";
+
+    const heading = DOC_HEADING_TAGS[String(element.getHeading())];
+    if (heading) {
+      return `<${heading.tag} style='${heading.style}${getParagraphStyle_(element)}'>${content}</${heading.tag}>`;
+    }
+    return `<p style='margin:0;padding:0;${getParagraphStyle_(element)}'>${content}</p>`;
+  }
+
+  if (type === DocumentApp.ElementType.LIST_ITEM) {
+    return convertElementsToHtml_([element], context);
+  }
+
+  if (type === DocumentApp.ElementType.HORIZONTAL_RULE) {
+    return "<hr style='border:0;border-top:1px solid #ccc;margin:15px 0;'>";
+  }
+
+  if (type === DocumentApp.ElementType.TABLE) {
+    return processTableHTML_(element, context);
+  }
+
+  return "";
+}
+
+// ==========================================
+// LISTS
+// ==========================================
+
+function openListItem_(item, openLists, counters, context) {
+  const listId = item.getListId();
+  const level = item.getNestingLevel();
+
+  // Leave deeper levels, and any other list at the same level
+  let html = closeLists_(openLists, level, listId);
+
+  const top = openLists[openLists.length - 1];
+  if (top && top.level === level) {
+    if (top.itemOpen) html += "</li>";
+  } else {
+    // New (possibly nested) list; nested lists stay inside the parent's open <li>
+    const style = DOC_LIST_STYLES[String(item.getGlyphType())] || DOC_LIST_STYLES.BULLET;
+    const count = counters[listId + ":" + level] || 0;
+    const start = style.tag === "ol" && count > 0 ? ` start="${count + 1}"` : "";
+    html += `<${style.tag}${start} style='margin:0;padding-left:24px;list-style-type:${style.type};'>`;
+    openLists.push({ listId: listId, level: level, tag: style.tag, itemOpen: false });
+  }
+
+  // Docs restarts nested numbering under each new parent item
+  counters[listId + ":" + level] = (counters[listId + ":" + level] || 0) + 1;
+  Object.keys(counters).forEach(key => {
+    const [id, keyLevel] = key.split(":");
+    if (id === listId && Number(keyLevel) > level) delete counters[key];
+  });
+
+  openLists[openLists.length - 1].itemOpen = true;
+  return html + "<li>" + getParagraphContentHtml_(item, context);
+}
+
+/**
+ * Closes open lists deeper than `level` (all lists for level 0 without a list ID),
+ * plus a list at `level` that belongs to a different list ID.
+ * @return {string} Closing tags
+ */
+function closeLists_(openLists, level, listId) {
+  let html = "";
+  while (openLists.length > 0) {
+    const top = openLists[openLists.length - 1];
+    const differentList = listId === undefined || top.listId !== listId;
+    if (top.level < level || (top.level === level && !differentList)) break;
+
+    openLists.pop();
+    html += (top.itemOpen ? "</li>" : "") + `</${top.tag}>`;
+  }
+  return html;
+}
+
+// ==========================================
+// PARAGRAPHS & TEXT
+// ==========================================
+
+/**
+ * Alignment and indentation of a paragraph (list items get their indentation from nesting).
+ * @return {string} CSS declarations, e.g. "text-align:center;margin-left:36pt;"
+ */
+function getParagraphStyle_(paragraph) {
+  let style = "";
+
+  const alignment = paragraph.getAlignment();
+  if (alignment === DocumentApp.HorizontalAlignment.CENTER) style += "text-align:center;";
+  else if (alignment === DocumentApp.HorizontalAlignment.RIGHT) style += "text-align:right;";
+  else if (alignment === DocumentApp.HorizontalAlignment.JUSTIFY) style += "text-align:justify;";
+
+  const indentStart = paragraph.getIndentStart();
+  if (indentStart) style += `margin-left:${indentStart}pt;`;
+
+  const indentFirstLine = paragraph.getIndentFirstLine();
+  if (indentFirstLine && indentFirstLine !== indentStart) style += `text-indent:${indentFirstLine - (indentStart || 0)}pt;`;
+
+  return style;
+}
+
+/**
+ * Text runs and inline images of a paragraph or list item, in document order.
+ */
+function getParagraphContentHtml_(paragraph, context) {
+  let html = "";
+  for (let i = 0; i < paragraph.getNumChildren(); i++) {
+    const child = paragraph.getChild(i);
+    const type = child.getType();
+    if (type === DocumentApp.ElementType.TEXT) html += getFormattedText_(child);
+    else if (type === DocumentApp.ElementType.INLINE_IMAGE) html += getInlineImageHtml_(child, context);
+  }
+  return html;
+}
+
+function getFormattedText_(element) {
+  const textObj = element.editAsText();
+  const text = textObj.getText();
+  if (!text) return "";
+
+  const indices = textObj.getTextAttributeIndices();
+  let html = "";
+
+  for (let i = 0; i < indices.length; i++) {
+    const start = indices[i];
+    const end = (i + 1 < indices.length) ? indices[i + 1] : text.length;
+    let chunk = text.substring(start, end);
+
+    // Escape HTML special chars; soft line breaks (Shift+Enter) become <br>
+    chunk = chunk
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/[\r\u000b]/g, "<br>");
+
+    if (textObj.isBold(start)) chunk = "<b>" + chunk + "</b>";
+    if (textObj.isItalic(start)) chunk = "<i>" + chunk + "</i>";
+    if (textObj.isUnderline(start)) chunk = "<u>" + chunk + "</u>";
+    if (textObj.isStrikethrough(start)) chunk = "<s>" + chunk + "</s>";
+
+    const verticalAlign = textObj.getTextAlignment(start);
+    if (verticalAlign === DocumentApp.TextAlignment.SUPERSCRIPT) chunk = "<sup>" + chunk + "</sup>";
+    else if (verticalAlign === DocumentApp.TextAlignment.SUBSCRIPT) chunk = "<sub>" + chunk + "</sub>";
+
+    // Color, highlight and font
+    let style = "";
+    const color = textObj.getForegroundColor(start);
+    if (color && color !== "#000000") style += `color:${color};`;
+
+    const highlight = textObj.getBackgroundColor(start);
+    if (highlight) style += `background-color:${highlight};`;
+
+    const fontSize = textObj.getFontSize(start);
+    if (fontSize && fontSize !== DOC_DEFAULT_FONT_SIZE) style += `font-size:${fontSize}pt;`;
+
+    const fontFamily = textObj.getFontFamily(start);
+    if (fontFamily && fontFamily !== DOC_DEFAULT_FONT_FAMILY) style += `font-family:'${fontFamily}',sans-serif;`;
+
+    if (style) chunk = `<span style="${style}">${chunk}</span>`;
+
+    // Link
+    const url = textObj.getLinkUrl(start);
+    if (url) {
+      chunk = `<a href="${url}">${chunk}</a>`;
+    }
+
+    html += chunk;
+  }
+  return html;
+}
+
+/**
+ * Inline image sized like in the Doc, referenced by cid: (data URI without a render context).
+ */
+function getInlineImageHtml_(image, context) {
+  try {
+    const src = registerInlineImage_(context, image.getBlob());
+    const alt = (image.getAltDescription() || image.getAltTitle() || "").replace(/"/g, "&quot;");
+    let html = `<img src="${src}" alt="${alt}" width="${image.getWidth()}" height="${image.getHeight()}" style="display:inline-block;">`;
+
+    const url = image.getLinkUrl();
+    if (url) html = `<a href="${url}">${html}</a>`;
+    return html;
+  } catch (e) {
+    Logger.log(`⚠️ Inline Image Error: ${e.message}`);
+    return "";
+  }
+}
+
+/**
+ * Adds an image to the context's inline images and returns its src.
+ * Gmail and Outlook often block data: URIs, while cid: images sent as
+ * `inlineImages` display reliably.
+ * @param {Object} [context] - Render context with an `inlineImages` map (cid -> Blob)
+ * @param {Blob} blob - Image data
+ * @param {string} [cid] - Fixed content ID (e.g. "signature_logo"); generated if omitted
+ * @return {string} "cid:<id>", or a data URI if the context does not collect images
+ */
+function registerInlineImage_(context, blob, cid) {
+  if (!context || !context.inlineImages) {
+    return `data:${blob.getContentType()};base64,${Utilities.base64Encode(blob.getBytes())}`;
+  }
+
+  const id = cid || "inline_image_" + (Object.keys(context.inlineImages).length + 1);
+  context.inlineImages[id] = blob;
+  return "cid:" + id;
+}
+
+// ==========================================
+// TABLES
+// ==========================================
+
+function processTableHTML_(table, context) {
+  let html = '<table style="border-collapse: collapse; width: 100%; border: 1px solid #ccc;">';
+  const numRows = table.getNumRows();
+
+  for (let r = 0; r < numRows; r++) {
+    const row = table.getRow(r);
+    html += "<tr>";
+    const numCells = row.getNumCells();
+
+    for (let c = 0; c < numCells; c++) {
+      const cell = row.getCell(c);
+
+      // Cell contents (paragraphs, lists)
+      const children = [];
+      for (let k = 0; k < cell.getNumChildren(); k++) children.push(cell.getChild(k));
+      const cellHtml = convertElementsToHtml_(children, context);
+
+      const background = cell.getBackgroundColor();
+      const cellStyle = "border: 1px solid #ccc; padding: 8px;" + (background ? ` background-color: ${background};` : "");
+      html += `<td style="${cellStyle}">${cellHtml}</td>`;
+    }
+    html += "</tr>";
+  }
+
+  html += "</table>";
+  return html;
+}
@@ -0,0 +1,138 @@
+/*
+MODULE: MarkdownConverter
+---------------------------------------------------
+Converts the Markdown body of a file template to
+the same Gmail-safe HTML the Doc converter emits:
+headings, paragraphs, nested ul/ol lists, rules,
+**bold**, *italic*, ~~strike~~, `code`, [links](url)
+and ![images](url). Raw HTML lines pass through.
+Underscores are not emphasis, so {{FIRST_NAME}}
+style tokens are never broken up.
+---------------------------------------------------
+*/
+
+const MARKDOWN_LIST_ITEM_REGEX = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const MARKDOWN_HEADING_REGEX = /^(#{1,6})\s+(.*?)\s*#*$/;
+const MARKDOWN_RULE_REGEX = /^(\*{3,}|-{3,}|_{3,})$/;
+
+/**
+ * Converts Markdown to HTML.
+ * @param {string} markdown - Markdown text (lines separated by \n)
+ * @return {string} HTML
+ */
+function markdownToHtml_(markdown) {
+  const openLists = []; // [{ indent, tag, itemOpen }]
+  let paragraph = [];
+  let html = "";
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      html += `<p style='margin:0 0 12px;padding:0;'>${formatMarkdownInline_(paragraph.join(" "))}</p>`;
+      paragraph = [];
+    }
+  };
+
+  markdown.split("\n").forEach(line => {
+    const text = line.trim();
+    const item = line.match(MARKDOWN_LIST_ITEM_REGEX);
+
+    // Block markers between list items must not split the list (same as Doc lists)
+    if (STANDALONE_BLOCK_MARKER_REGEX.test(text)) {
+      flushParagraph();
+      const list = openLists[openLists.length - 1];
+      if (list && list.itemOpen) {
+        html += "</li>";
+        list.itemOpen = false;
+      }
+      html += text;
+      return;
+    }
+
+    if (item && !MARKDOWN_RULE_REGEX.test(text)) {
+      flushParagraph();
+      html += openMarkdownListItem_(item, openLists) + formatMarkdownInline_(item[3]);
+      return;
+    }
+
+    if (text === "") {
+      flushParagraph();
+      html += closeMarkdownLists_(openLists, 0);
+      return;
+    }
+
+    // Indented text continues the open list item
+    if (openLists.length > 0 && /^\s/.test(line) && paragraph.length === 0) {
+      html += " " + formatMarkdownInline_(text);
+      return;
+    }
+
+    html += closeMarkdownLists_(openLists, 0);
+    const heading = text.match(MARKDOWN_HEADING_REGEX);
+
+    if (heading) {
+      flushParagraph();
+      const style = DOC_HEADING_TAGS["HEADING" + heading[1].length];
+      html += `<${style.tag} style='${style.style}'>${formatMarkdownInline_(heading[2])}</${style.tag}>`;
+    } else if (MARKDOWN_RULE_REGEX.test(text)) {
+      flushParagraph();
+      html += "<hr style='border:0;border-top:1px solid #ccc;margin:15px 0;'>";
+    } else if (/^<\/?[a-z][^>]*>/i.test(text)) {
+      // Raw HTML block
+      flushParagraph();
+      html += text;
+    } else {
+      paragraph.push(text);
+    }
+  });
+
+  flushParagraph();
+  return html + closeMarkdownLists_(openLists, 0);
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function openMarkdownListItem_(item, openLists) {
+  const indent = item[1].replace(/\t/g, "    ").length;
+  const style = /\d/.test(item[2]) ? DOC_LIST_STYLES.NUMBER : DOC_LIST_STYLES.BULLET;
+
+  // Leave deeper lists, and a list of the other kind at the same indent
+  let html = closeMarkdownLists_(openLists, indent + 1);
+  let top = openLists[openLists.length - 1];
+  if (top && top.indent === indent && top.tag !== style.tag) html += closeMarkdownLists_(openLists, indent);
+
+  top = openLists[openLists.length - 1];
+  if (top && top.indent === indent) {
+    if (top.itemOpen) html += "</li>";
+  } else {
+    // Nested lists stay inside the parent's open <li>
+    const start = style.tag === "ol" && parseInt(item[2], 10) > 1 ? ` start="${parseInt(item[2], 10)}"` : "";
+    html += `<${style.tag}${start} style='margin:0;padding-left:24px;list-style-type:${style.type};'>`;
+    top = { indent: indent, tag: style.tag, itemOpen: false };
+    openLists.push(top);
+  }
+
+  top.itemOpen = true;
+  return html + "<li>";
+}
+
+// Closes open lists indented at least `indent`
+function closeMarkdownLists_(openLists, indent) {
+  let html = "";
+  while (openLists.length > 0 && openLists[openLists.length - 1].indent >= indent) {
+    const list = openLists.pop();
+    html += (list.itemOpen ? "</li>" : "") + `</${list.tag}>`;
+  }
+  return html;
+}
+
+function formatMarkdownInline_(text) {
+  return text
+    .replace(/`([^`]+)`/g, "<code style='font-family:monospace;'>$1</code>")
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, '<img src="$2" alt="$1" style="display:inline-block;">')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, '<a href="$2">$1</a>')
+    .replace(/\*\*([^*]+)\*\*/g, "<b>$1</b>")
+    .replace(/(^|[^*])\*([^*\s][^*]*?)\*(?!\*)/g, "$1<i>$2</i>")
+    .replace(/~~([^~]+)~~/g, "<s>$1</s>");
+}
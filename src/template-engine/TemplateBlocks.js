@@ -0,0 +1,458 @@
+/*
+MODULE: TemplateBlocks
+--------------------------------
+Block-level template logic: {{#IF}} / {{#ELSE}} / {{/IF}} and
+{{#EACH Sheet:<id>, range:<A1>}} ... {{/EACH}} repeating sections.
+Runs on the assembled HTML *before* dictionary replacement, so a block
+can open in one Doc paragraph and close several paragraphs later.
+--------------------------------
+*/
+
+// {{#EACH Sheet: <ID/Link>, range: <Range>}}
+const EACH_SOURCE_REGEX = /^Sheet:\s*(.+?),\s*range:\s*(.+)$/i;
+
+// Comparison operators must be surrounded by spaces: {{#IF DAY >= 25}}
+const CONDITION_OPERATOR_REGEX = /^(.+?)\s+(==|!=|<>|>=|<=|=|>|<|CONTAINS)\s+(.+)$/i;
+
+// Prefixed condition operands: {{#IF CELL:<ID>, 'KPI'!B2 > 0}}, {{#IF NAMED:Ticket_Count}}
+const CONDITION_OPERAND_PREFIXES = ["DATE", "CELL", "NAMED", "VAR"];
+// Operands whose argument is a sheet reference (a sheet URL may contain "gid=0")
+const SHEET_OPERAND_PREFIXES = ["CELL", "NAMED"];
+
+// Values treated as "false" when a condition has no operator: {{#IF VAR:Incidents}}
+const FALSY_CONDITION_VALUES = ["", "0", "false", "no"];
+
+// ==========================================
+// PUBLIC FUNCTION
+// ==========================================
+/**
+ * Resolves {{#IF}} and {{#EACH}} blocks in template text (subject, body HTML or recipient lists).
+ * Markers that are the only content of a Doc paragraph are removed together with the paragraph,
+ * and a block wrapping a whole Doc table row or list item repeats/hides that row or item.
+ * If the blocks are unbalanced the text is returned untouched (validateTemplate reports the problem).
+ * @param {string} text - Template text or HTML
+ * @param {Object} [context] - Render context ({ variables })
+ * @return {string} Text with only the active branches kept
+ */
+function applyTemplateBlocks_(text, context) {
+  if (!text) return "";
+
+  const healedText = hoistWrappedBlocks_(unwrapStandaloneMarkers_(healBlockMarkers_(text)));
+  const tree = parseTemplateBlocks_(healedText);
+
+  if (tree.errors.length > 0) {
+    Logger.log(`⚠️ Block Warning: ${tree.errors.join("; ")}`);
+    tree.errors.forEach(err => reportRenderIssue_(context, {}, err));
+    return text;
+  }
+
+  return renderBlockNodes_(tree.nodes, context || {});
+}
+
+/**
+ * Checks block markers for balance and well-formed conditions.
+ * Used by validateTemplate.
+ * @param {string} content - Template content (plain text or HTML)
+ * @return {string[]} Array of error messages
+ */
+function validateBlockTags_(content) {
+  const tree = parseTemplateBlocks_(healBlockMarkers_(content || ""));
+  const errors = [...tree.errors];
+
+  const checkNodes = nodes => nodes.forEach(node => {
+    if (node.type === "text") return;
+    const argumentError = node.type === "EACH"
+      ? validateEachSource_(node.argument)
+      : validateCondition_(node.argument);
+    if (argumentError) errors.push(`${argumentError} in "${node.raw}"`);
+    checkNodes(node.children);
+    if (node.elseChildren) checkNodes(node.elseChildren);
+  });
+  checkNodes(tree.nodes);
+
+  return errors;
+}
+
+// ==========================================
+// PARSING
+// ==========================================
+
+/**
+ * Normalizes block markers typed in a Doc: strips formatting tags and entities inside the braces.
+ * Example: {{<b>#IF</b> DAY &gt; 25}} -> {{#IF DAY > 25}}
+ */
+function healBlockMarkers_(text) {
+  return text.replace(/\{\{((?:\s|&nbsp;|<[^>]+>)*[#\/][^{}]*?)\}\}/g, (match, inner) => {
+    const cleanInner = inner
+      .replace(/<[^>]+>/g, "")      // Strip HTML
+      .replace(/&nbsp;/g, " ")      // NBSP -> space
+      .replace(/&gt;/g, ">")
+      .replace(/&lt;/g, "<")
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, "&")
+      .replace(/[\u201C\u201D]/g, '"') // Smart Quotes -> "
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/\s+/g, " ")         // Collapse spaces
+      .trim();
+    return "{{" + cleanInner + "}}";
+  });
+}
+
+/**
+ * A marker typed on its own line should not leave an empty paragraph behind.
+ * <p style='...'>{{#IF X}}</p> -> {{#IF X}}
+ */
+function unwrapStandaloneMarkers_(html) {
+  return html.replace(/<(p|li|h[1-6])\b[^>]*>\s*(\{\{\s*(?:#IF|#EACH|#ELSE|\/IF|\/EACH)\b[^{}]*\}\})\s*<\/\1>/gi, "$2");
+}
+
+/**
+ * Moves a block that wraps the entire content of a table row or list item outside of it,
+ * so the whole row/item is repeated (EACH) or hidden (IF) instead of just its text.
+ * <tr><td>{{#EACH ...}}{{Owner}}</td><td>{{Ticket}}{{/EACH}}</td></tr>
+ *   -> {{#EACH ...}}<tr><td>{{Owner}}</td><td>{{Ticket}}</td></tr>{{/EACH}}
+ */
+function hoistWrappedBlocks_(html) {
+  return html.replace(/<(tr|li)\b([^>]*)>([\s\S]*?)<\/\1>/gi, (match, tag, attrs, inner) => {
+    const open = inner.match(/^((?:\s|<[^>]+>)*)(\{\{\s*#(EACH|IF)\b[^{}]*\}\})/i);
+    if (!open) return match;
+
+    const close = inner.match(/(\{\{\s*\/(EACH|IF)\s*\}\})((?:\s|<[^>]+>)*)$/i);
+    if (!close || close[2].toUpperCase() !== open[3].toUpperCase()) return match;
+
+    // Only hoist when the outer pair really encloses everything in between
+    const body = inner.substring(open[0].length, inner.length - close[0].length);
+    if (parseTemplateBlocks_(body).errors.length > 0) return match;
+
+    return open[2] + `<${tag}${attrs}>` + open[1] + body + close[3] + `</${tag}>` + close[1];
+  });
+}
+
+/**
+ * Builds a block tree from the BlockMarker nodes of the parsed text.
+ * @param {string} text - Healed template text
+ * @return {Object} { nodes: Object[], errors: string[] }
+ */
+function parseTemplateBlocks_(text) {
+  const root = { type: "root", children: [], elseChildren: null };
+  const stack = [root];
+  const errors = [];
+
+  const targetOf = node => node.elseChildren || node.children;
+  const pushText = (node, value) => {
+    const target = targetOf(node);
+    const last = target[target.length - 1];
+    if (last && last.type === "text") last.text += value;
+    else target.push({ type: "text", text: value });
+  };
+
+  // Markers typed inside a $LINK or [Table] tag still open and close blocks
+  const leaves = getTemplateLeaves_(parseTemplate_(text).nodes);
+
+  leaves.forEach(leaf => {
+    const current = stack[stack.length - 1];
+    if (leaf.type !== "BlockMarker") {
+      pushText(current, leaf.raw);
+      return;
+    }
+
+    const keyword = leaf.keyword;
+    const argument = leaf.argument;
+
+    if (keyword === "#IF" || keyword === "#EACH") {
+      const node = { type: keyword.substring(1), argument: argument, raw: leaf.raw, children: [], elseChildren: null };
+      targetOf(current).push(node);
+      stack.push(node);
+    } else if (keyword === "#ELSE") {
+      if (current.type === "root") {
+        errors.push("{{#ELSE}} without an open {{#IF}} or {{#EACH}}");
+      } else if (current.elseChildren) {
+        errors.push(`Duplicate {{#ELSE}} in "${current.raw}"`);
+      } else {
+        current.elseChildren = [];
+      }
+    } else {
+      const blockType = keyword.substring(1);
+      if (current.type !== blockType) {
+        const openBlock = current.type === "root" ? "" : ` (open block: "${current.raw}")`;
+        errors.push(`{{/${blockType}}} without a matching {{#${blockType}}}${openBlock}`);
+      } else {
+        stack.pop();
+      }
+    }
+  });
+
+  for (let i = stack.length - 1; i > 0; i--) {
+    errors.push(`Unclosed block "${stack[i].raw}" - missing {{/${stack[i].type}}}`);
+  }
+
+  return { nodes: root.children, errors: errors };
+}
+
+// ==========================================
+// RENDERING
+// ==========================================
+
+function renderBlockNodes_(nodes, context) {
+  let html = "";
+
+  nodes.forEach(node => {
+    if (node.type === "text") {
+      html += node.text;
+      return;
+    }
+
+    if (node.type === "EACH") {
+      html += renderEachBlock_(node, context);
+      return;
+    }
+
+    let active = false;
+    try {
+      active = evaluateCondition_(node.argument, context);
+    } catch (e) {
+      Logger.log(`⚠️ Condition Error in ${node.raw}: ${e.message}`);
+      reportRenderIssue_(context, node, e.message);
+    }
+
+    if (active) html += renderBlockNodes_(node.children, context);
+    else if (node.elseChildren) html += renderBlockNodes_(node.elseChildren, context);
+  });
+
+  return html;
+}
+
+/**
+ * Repeats the block once per data row of the sheet range.
+ * The header row provides the variable names: {{Owner}}, {{Due Date}}.
+ * {{#ELSE}} inside the block is the empty-state text.
+ */
+function renderEachBlock_(node, context) {
+  let records;
+  try {
+    const source = node.argument.match(EACH_SOURCE_REGEX);
+    if (!source) throw new Error("Expected Sheet: <ID>, range: <Range>");
+    records = getSheetRecords_(source[1], source[2]);
+  } catch (e) {
+    Logger.log(`❌ Repeat Error in ${node.raw}: ${e.message}`);
+    reportRenderIssue_(context, node, e.message);
+    return "";
+  }
+
+  if (records.length === 0) {
+    return node.elseChildren ? renderBlockNodes_(node.elseChildren, context) : "";
+  }
+
+  Logger.log(`[TemplateBlocks] Repeating block for ${records.length} rows`);
+
+  return records.map(record => {
+    const rowContext = { ...context, variables: { ...(context.variables || {}), ...record } };
+    return substituteRowVariables_(renderBlockNodes_(node.children, rowContext), record, context);
+  }).join("");
+}
+
+/**
+ * Replaces {{Header}} tokens with the row's cell values (case-insensitive).
+ * Filters apply to the cell value: {{Owner | upper}}; values are escaped like
+ * any other token (renderTokenValue_), so `| raw` and `| escape` opt out.
+ * Tokens that are not column headers are left for applyDictionary_.
+ */
+function substituteRowVariables_(html, record, context = {}) {
+  const lookup = {};
+  Object.keys(record).forEach(key => { lookup[key.toLowerCase()] = record[key]; });
+
+  return renderTemplateNodes_(parseTemplate_(html).nodes, node => {
+    if (node.type !== "Token") return undefined;
+    const name = node.expression.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(lookup, name)) return undefined;
+    return renderTokenValue_(applyTemplateFilters_(lookup[name], node.filters, context), node, context);
+  });
+}
+
+/**
+ * Returns an error message for a malformed {{#EACH}} source, or null if it looks valid.
+ */
+function validateEachSource_(argument) {
+  const source = (argument || "").match(EACH_SOURCE_REGEX);
+  if (!source) return "Invalid repeat source (expected Sheet: <ID>, range: <Range>)";
+  if (!source[1].match(/[-\w]{25,}/)) return `Invalid sheet reference "${source[1].trim()}"`;
+  return null;
+}
+
+// ==========================================
+// CONDITIONS
+// ==========================================
+
+/**
+ * Evaluates a block condition.
+ * Grammar: [NOT] operand [op operand], combined with AND / OR (AND binds tighter).
+ * Operands: WEEKDAY, DAY, MONTH, YEAR, DATE:<token>, CELL:[<sheet>,] <range>, NAMED:[<sheet>,] <name>,
+ *           VAR:<name>, a variable name, a quoted string, a number or a yyyy-mm-dd date.
+ * @param {string} expression - Condition text, e.g. "WEEKDAY = Friday"
+ * @param {Object} [context] - Render context ({ variables })
+ * @return {boolean}
+ */
+function evaluateCondition_(expression, context) {
+  return expression.split(/\s+OR\s+/i).some(orPart =>
+    orPart.split(/\s+AND\s+/i).every(part => evaluateComparison_(part.trim(), context || {}))
+  );
+}
+
+function evaluateComparison_(expression, context) {
+  let negate = false;
+  if (/^NOT\s+/i.test(expression)) {
+    negate = true;
+    expression = expression.replace(/^NOT\s+/i, "");
+  }
+
+  const match = expression.match(CONDITION_OPERATOR_REGEX);
+  let result;
+
+  if (match) {
+    const left = resolveConditionOperand_(match[1].trim(), context);
+    const right = resolveConditionOperand_(match[3].trim(), context);
+    result = compareConditionValues_(left, match[2].toUpperCase(), right);
+  } else {
+    result = isConditionValueTruthy_(resolveConditionOperand_(expression, context));
+  }
+
+  return negate ? !result : result;
+}
+
+function resolveConditionOperand_(token, context) {
+  const upper = token.toUpperCase();
+  const now = getZonedNow_(context);
+
+  if (upper === "WEEKDAY") return formatDate_(now, "EEEE");
+  if (upper === "DAY") return now.getDate();
+  if (upper === "MONTH") return now.getMonth() + 1;
+  if (upper === "YEAR") return now.getFullYear();
+
+  const operand = parseConditionOperand_(token);
+  if (operand) {
+    switch (operand.prefix) {
+      case "DATE":
+        return parseDateToken_(operand.argument, context);
+      case "CELL":
+        return getSheetCellDisplayValue_(operand.argument);
+      case "NAMED":
+        return getNamedRangeDisplayValue_(operand.argument);
+      default: {
+        const value = lookupTemplateVariable_(operand.argument.trim(), context);
+        return value === undefined ? "" : value;
+      }
+    }
+  }
+
+  // Quoted literal: "Open" or 'Open'
+  if (/^"[^"]*"$/.test(token) || /^'[^']*'$/.test(token)) return token.slice(1, -1);
+
+  const variable = lookupTemplateVariable_(token, context);
+  if (variable !== undefined) return variable;
+
+  // ISO date literal: 2026-03-31
+  const isoMatch = token.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (isoMatch) return new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]));
+
+  return token;
+}
+
+/**
+ * Splits a prefixed condition operand: "CELL:<ID>, B2" -> { prefix: "CELL", argument: "<ID>, B2" }.
+ * Shared by the resolver and validateCondition_ so both recognise the same prefixes.
+ * @return {Object|null} { prefix, argument }, or null if the operand has no known prefix
+ */
+function parseConditionOperand_(token) {
+  const match = String(token).match(/^([A-Za-z]+):([\s\S]*)$/);
+  if (!match || !CONDITION_OPERAND_PREFIXES.includes(match[1].toUpperCase())) return null;
+  return { prefix: match[1].toUpperCase(), argument: match[2] };
+}
+
+function compareConditionValues_(left, operator, right) {
+  if (operator === "CONTAINS") {
+    return String(left).toLowerCase().includes(String(right).toLowerCase());
+  }
+
+  let a;
+  let b;
+
+  if (left instanceof Date || right instanceof Date) {
+    // Compare calendar days only, ignoring the time of day
+    a = toDateKey_(left);
+    b = toDateKey_(right);
+  } else if (isNumericValue_(left) && isNumericValue_(right)) {
+    a = toNumericValue_(left);
+    b = toNumericValue_(right);
+  } else {
+    a = String(left).trim().toLowerCase();
+    b = String(right).trim().toLowerCase();
+  }
+
+  switch (operator) {
+    case "=":
+    case "==": return a === b;
+    case "!=":
+    case "<>": return a !== b;
+    case ">": return a > b;
+    case ">=": return a >= b;
+    case "<": return a < b;
+    case "<=": return a <= b;
+    default: return false;
+  }
+}
+
+function isConditionValueTruthy_(value) {
+  if (value instanceof Date) return true;
+  if (typeof value === "number") return value !== 0;
+  if (value === null || value === undefined) return false;
+  return !FALSY_CONDITION_VALUES.includes(String(value).trim().toLowerCase());
+}
+
+/**
+ * Returns an error message for a malformed condition, or null if it looks valid.
+ */
+function validateCondition_(expression) {
+  if (!expression) return "Missing condition";
+
+  const parts = expression.split(/\s+(?:AND|OR)\s+/i);
+  for (const rawPart of parts) {
+    const part = rawPart.replace(/^NOT\s+/i, "").trim();
+    if (!part) return "Empty condition";
+    if (/^(==|!=|<>|>=|<=|=|>|<)/.test(part) || /(==|!=|<>|>=|<=|=|>|<)$/.test(part)) {
+      return `Comparison is missing an operand ("${rawPart.trim()}")`;
+    }
+    const operand = parseConditionOperand_(part);
+    const isSheetReference = operand !== null && SHEET_OPERAND_PREFIXES.includes(operand.prefix);
+    if (!CONDITION_OPERATOR_REGEX.test(part) && /[^\s]\s*(==|!=|<>|>=|<=|=|>|<)\s*[^\s]/.test(part) && !isSheetReference) {
+      return `Operator needs spaces on both sides ("${rawPart.trim()}")`;
+    }
+  }
+  return null;
+}
+
+// ==========================================
+// VALUE HELPERS
+// ==========================================
+
+function toDateKey_(value) {
+  let date = value;
+  if (!(date instanceof Date)) {
+    const isoMatch = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})/);
+    date = isoMatch
+      ? new Date(Number(isoMatch[1]), Number(isoMatch[2]) - 1, Number(isoMatch[3]))
+      : new Date(String(value));
+  }
+  if (isNaN(date.getTime())) return NaN;
+  return date.getFullYear() * 10000 + (date.getMonth() + 1) * 100 + date.getDate();
+}
+
+function isNumericValue_(value) {
+  if (typeof value === "number") return true;
+  const clean = String(value).replace(/[,%\s]/g, "");
+  return clean !== "" && !isNaN(Number(clean));
+}
+
+function toNumericValue_(value) {
+  if (typeof value === "number") return value;
+  return Number(String(value).replace(/[,%\s]/g, ""));
+}
@@ -0,0 +1,151 @@
+/*
+MODULE: TemplateFilters
+--------------------------------
+Pipe filters for dictionary values:
+  {{VAR:Revenue | currency:USD}}  {{Region | upper}}  {{Owner | default:"Unassigned"}}
+Filters run left to right on the raw value (numbers and dates stay
+typed until the end). Teams add their own with registerTemplateFilter().
+--------------------------------
+*/
+
+const CURRENCY_SYMBOLS = {
+  USD: "$", EUR: "€", GBP: "£", JPY: "¥", CNY: "¥", INR: "₹",
+  MYR: "RM", SGD: "S$", AUD: "A$", PHP: "₱", THB: "฿", IDR: "Rp"
+};
+
+/**
+ * Built-in filters. Signature: (value, args, context) => value
+ * value is undefined when the token did not resolve (only `default` replaces it).
+ */
+const TEMPLATE_FILTERS = {
+  // Case
+  upper: value => mapFilterText_(value, text => text.toUpperCase()),
+  lower: value => mapFilterText_(value, text => text.toLowerCase()),
+  title: value => mapFilterText_(value, text => text.toLowerCase().replace(/(^|[\s\-\/])(\S)/g, (m, sep, c) => sep + c.toUpperCase())),
+
+  // Numbers: {{X | number:2}} -> 1,234.50, {{X | percent:1}} -> 12.5% (0.125), {{X | currency:EUR}} -> €1,234.50
+  number: (value, args) => mapFilterNumber_(value, n => formatFilterNumber_(n, parseFilterInt_(args[0], 0))),
+  percent: (value, args) => mapFilterNumber_(value, n => formatFilterNumber_(n * 100, parseFilterInt_(args[0], 0)) + "%"),
+  currency: (value, args) => mapFilterNumber_(value, n => {
+    const code = (args[0] || "USD").toUpperCase();
+    const symbol = CURRENCY_SYMBOLS[code] || code + " ";
+    return (n < 0 ? "-" : "") + symbol + formatFilterNumber_(Math.abs(n), parseFilterInt_(args[1], 2));
+  }),
+  round: (value, args) => mapFilterNumber_(value, n => {
+    const factor = Math.pow(10, parseFilterInt_(args[0], 0));
+    return Math.round(n * factor) / factor;
+  }),
+
+  // Text
+  default: (value, args) => (value === undefined || value === null || value === "" ? (args[0] || "") : value),
+  truncate: (value, args) => mapFilterText_(value, text => {
+    const length = parseFilterInt_(args[0], 50);
+    const suffix = args.length > 1 ? args[1] : "…";
+    return text.length > length ? text.substring(0, length).trim() + suffix : text;
+  }),
+  // Body values are escaped by default (see renderTokenValue_); both filters turn that off
+  escape: value => mapFilterText_(value, escapeHtml_),
+  raw: value => value,
+
+  // Dates: {{DATE:Today+1 | date:EEEE}}, {{VAR:Due | date:"dd MMM, yyyy"}}
+  date: (value, args) => {
+    if (value === undefined || value === null || value === "") return value;
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) throw new Error(`'${value}' is not a date`);
+    return formatDate_(date, args[0] || "dd-MMM-yyyy");
+  }
+};
+
+// ==========================================
+// PUBLIC FUNCTIONS
+// ==========================================
+/**
+ * Adds (or replaces) a filter usable as {{TOKEN | name:arg1, arg2}}.
+ * Call before generateEmailDraft / validateTemplate in the same execution.
+ * @param {string} name - Filter name (case-insensitive)
+ * @param {Function} fn - (value, args: string[], context) => new value; value is undefined for unresolved tokens
+ */
+function registerTemplateFilter(name, fn) {
+  const key = String(name || "").trim().toLowerCase();
+  if (!/^[a-z_][a-z0-9_]*$/.test(key)) throw new Error(`Invalid filter name '${name}'`);
+  if (typeof fn !== "function") throw new Error(`Filter '${key}' must be a function`);
+  TEMPLATE_FILTERS[key] = fn;
+}
+
+/**
+ * @param {string} name - Filter name
+ * @return {boolean} True if the filter is built in or registered
+ */
+function isTemplateFilter_(name) {
+  return Object.prototype.hasOwnProperty.call(TEMPLATE_FILTERS, name);
+}
+
+/**
+ * Runs a token's filter chain. Unknown filters are skipped (validateTemplate reports them).
+ * @param {*} value - Resolved value (undefined if unresolved)
+ * @param {Object[]} filters - [{ name, args }] from parseTemplate_
+ * @param {Object} [context] - Render context
+ * @return {*} The filtered value
+ */
+function applyTemplateFilters_(value, filters, context) {
+  return filters.reduce((current, filter) => {
+    if (!isTemplateFilter_(filter.name)) {
+      Logger.log(`⚠️ Unknown filter '${filter.name}' skipped`);
+      return current;
+    }
+    return TEMPLATE_FILTERS[filter.name](current, filter.args, context || {});
+  }, value);
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function escapeHtml_(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function mapFilterText_(value, fn) {
+  if (value === undefined || value === null) return value;
+  return fn(value instanceof Date ? formatDate_(value) : String(value));
+}
+
+/**
+ * Applies fn to a numeric value. Sheet display values ("1,234.5", "$99", "12%") are parsed;
+ * anything that is not a number is passed through unchanged.
+ */
+function mapFilterNumber_(value, fn) {
+  if (value === undefined || value === null || value === "") return value;
+  let number = typeof value === "number" ? value : NaN;
+
+  if (typeof value === "string") {
+    // Optional sign, up to 3 symbol characters before ($, RM, S$) or letters after (USD)
+    const parts = value.replace(/[,\s]/g, "").match(/^(-?)[^\d\-.]{0,3}(-?)(\d*\.?\d+)(%?)[A-Za-z]{0,3}$/);
+    if (parts) {
+      number = parseFloat(parts[3]) * (parts[1] || parts[2] ? -1 : 1);
+      if (parts[4]) number /= 100;
+    }
+  }
+
+  if (isNaN(number)) {
+    Logger.log(`⚠️ Filter: '${value}' is not a number`);
+    return value;
+  }
+  return fn(number);
+}
+
+function formatFilterNumber_(number, decimals) {
+  const [whole, fraction] = number.toFixed(decimals).split(".");
+  const grouped = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ",");
+  return fraction ? grouped + "." + fraction : grouped;
+}
+
+function parseFilterInt_(arg, fallback) {
+  const number = parseInt(arg, 10);
+  return isNaN(number) ? fallback : number;
+}
@@ -0,0 +1,452 @@
+/*
+MODULE: TemplateParser
+--------------------------------
+Single tokenizer for the template syntax. The dictionary, block
+renderer, link injector, table renderer and both validators consume
+its AST instead of re-scanning the text with their own regexes.
+  {{COMMAND:args}} / {{Variable}}          -> Token
+  {{#IF}} {{#EACH}} {{#ELSE}} {{/IF}} ...  -> BlockMarker
+  $LINK:Key, TEXT:Label$                   -> Link
+  [Table] Sheet: <ID/Link>, range: <A1>    -> Table
+    (options may follow the range: , where: Team = 'Ops', highlight: C>95% green)
+  \{{...}}  \$LINK  \[Table]              -> Escape (literal text)
+  [RAW] ... [/RAW]                         -> Raw (literal text)
+  everything else                          -> Text
+Formatting the Doc leaves inside a tag ({{<b>DATE</b>}}) is healed here,
+and every node records its source position for error messages.
+--------------------------------
+*/
+
+// Start (or stray end) of a syntax element; escapes first so \{{ is not read as {{
+const TEMPLATE_SYNTAX_REGEX = /\\(?:\{\{|\$LINK|\[Table\]|\[\/?RAW\])|\{\{|\}\}|\$LINK:|\[Table\]|\[\/?RAW\]/gi;
+
+// Characters that make up the syntax, and the entities escaped text is rendered with.
+// Entities are not syntax, so later passes (tables, links) leave the text alone; the browser shows the characters.
+const TEMPLATE_SYNTAX_ENTITIES = { "{": "&#123;", "}": "&#125;", "$": "&#36;", "[": "&#91;", "]": "&#93;" };
+
+// Healed token content of a block marker: #IF cond, #EACH source, #ELSE, /IF, /EACH
+const BLOCK_MARKER_REGEX = /^(#IF|#EACH|#ELSE|\/IF|\/EACH)\b([^{}]*)$/i;
+
+// $LINK:Key, TEXT:Label$ (the key and label may contain formatting tags)
+const LINK_TAG_REGEX = /^\$LINK:([^$]*?),\s*TEXT:([^$]*)\$/;
+
+// [Table] Sheet: <ID/Link>, range: <Range> - the tag runs to the end of its paragraph
+const TABLE_TAG_REGEX = /^\[Table\](?:\s|&nbsp;|<[^>]+>)*Sheet:\s*([\s\S]*?),\s*range:\s*([\s\S]*)$/i;
+
+// Options that may follow the range: [Table] Sheet: <ID>, range: <Range>, where: <condition>, limit: 10
+const TABLE_OPTION_NAMES = ["columns", "where", "sort", "limit", "max-rows", "highlight", "mode"];
+// Options without a value: [Table] Sheet: <ID>, range: <Range>, hide-empty-columns
+const TABLE_FLAG_NAMES = ["hide-empty-columns"];
+
+// Tags that end a paragraph of the source (a newline does too). Shared by position
+// tracking and by paragraph-scoped constructs, so both agree on where a paragraph ends.
+const PARAGRAPH_END_TAGS = ["\\/p", "\\/li", "\\/h[1-6]", "\\/td", "\\/tr", "br\\s*\\/?"];
+const PARAGRAPH_END_TAG_REGEX = new RegExp(`^<(?:${PARAGRAPH_END_TAGS.join("|")})>$`, "i");
+const PARAGRAPH_END_REGEX = new RegExp(`<(?:${PARAGRAPH_END_TAGS.join("|")})>|\\n`, "gi");
+
+// ==========================================
+// PUBLIC FUNCTIONS
+// ==========================================
+/**
+ * Parses template text (rendered HTML, or plain Doc text with one paragraph per line).
+ * Every node has { type, raw, start, end, position: { paragraph, offset } }; positions are
+ * 0-based and count visible characters, so tags and entities do not shift the offset.
+ *   Token:       content (healed), expression, filters [{ name, args }], command, argument
+ *   BlockMarker: content, keyword ("#IF", "/EACH", ...), argument
+ *   Link:        key, label (healed), children
+ *   Table:       sheet, range (as typed, for getIdFromUrl_ / cleanRangeA1_), options { name: healed value }, children
+ *   Escape, Raw: literal (the text to show verbatim)
+ * Link and Table children cover their whole raw text, so tokens inside them can still be rendered.
+ * Syntax problems do not throw: the text is kept as Text and an issue is recorded.
+ * @param {string} source - Template text or HTML
+ * @return {Object} { type: "Template", nodes: Object[], issues: Object[] } issue: { severity, message, position }
+ */
+function parseTemplate_(source) {
+  const text = String(source || "");
+  const state = { text: text, tracker: createPositionTracker_(text), issues: [] };
+  const nodes = scanTemplateSpan_(state, 0, text.length, true);
+  return { type: "Template", nodes: nodes, issues: state.issues };
+}
+
+/**
+ * Rebuilds the text from AST nodes, replacing the nodes the callback handles.
+ * Escaped syntax is always rendered as entities, so no later pass interprets it.
+ * @param {Object[]} nodes - From parseTemplate_
+ * @param {Function} render - node => replacement string, or undefined to keep the node as written
+ * @return {string}
+ */
+function renderTemplateNodes_(nodes, render) {
+  return nodes.map(node => {
+    const output = render(node);
+    if (output !== undefined) return output;
+    if (node.literal !== undefined) return escapeTemplateSyntax_(node.literal);
+    return node.children ? renderTemplateNodes_(node.children, render) : node.raw;
+  }).join("");
+}
+
+/**
+ * Leaf nodes in source order (links and tables replaced by their children).
+ * @param {Object[]} nodes - From parseTemplate_
+ * @return {Object[]}
+ */
+function getTemplateLeaves_(nodes) {
+  return nodes.reduce((leaves, node) => leaves.concat(node.children ? getTemplateLeaves_(node.children) : [node]), []);
+}
+
+/**
+ * Turns template syntax characters into entities: {{X}} -> &#123;&#123;X&#125;&#125;
+ * @param {string} text
+ * @return {string}
+ */
+function escapeTemplateSyntax_(text) {
+  return text.replace(/[{}$\[\]]/g, char => TEMPLATE_SYNTAX_ENTITIES[char]);
+}
+
+/**
+ * Reverses escapeTemplateSyntax_ for plain-text output (subject, recipients).
+ * @param {string} text
+ * @return {string}
+ */
+function unescapeTemplateSyntax_(text) {
+  return text.replace(/&#(123|125|36|91|93);/g, (match, code) => String.fromCharCode(Number(code)));
+}
+
+/**
+ * All nodes of the given type(s), including those nested inside links and tables.
+ * @param {Object[]} nodes - From parseTemplate_
+ * @param {string|string[]} types - e.g. "Token" or ["Token", "BlockMarker"]
+ * @return {Object[]}
+ */
+function findTemplateNodes_(nodes, types) {
+  const wanted = [].concat(types);
+  const found = [];
+  nodes.forEach(node => {
+    if (wanted.includes(node.type)) found.push(node);
+    if (node.children) found.push(...findTemplateNodes_(node.children, wanted));
+  });
+  return found;
+}
+
+/**
+ * Human-readable source position for validation messages (1-based).
+ * @param {Object} position - { paragraph, offset }
+ * @return {string} e.g. "paragraph 3, character 12"
+ */
+function formatTemplatePosition_(position) {
+  return `paragraph ${position.paragraph + 1}, character ${position.offset + 1}`;
+}
+
+// ==========================================
+// SCANNING
+// ==========================================
+
+function scanTemplateSpan_(state, from, to, allowContainers) {
+  const text = state.text;
+  const nodes = [];
+  const syntax = new RegExp(TEMPLATE_SYNTAX_REGEX.source, "gi");
+  syntax.lastIndex = from;
+
+  let textStart = from;
+  let match;
+
+  while ((match = syntax.exec(text)) !== null && match.index < to) {
+    const lexeme = match[0];
+    let node = null;
+
+    if (lexeme.charAt(0) === "\\") {
+      node = scanEscape_(state, match.index, to, lexeme);
+    } else if (/^\[RAW\]$/i.test(lexeme)) {
+      node = allowContainers ? scanRaw_(state, match.index, to) : null;
+    } else if (/^\[\/RAW\]$/i.test(lexeme)) {
+      reportTemplateIssue_(state, "warning", "[/RAW] without an opening [RAW]", match.index);
+    } else if (lexeme === "{{") {
+      node = scanToken_(state, match.index, to);
+    } else if (lexeme === "}}") {
+      reportTemplateIssue_(state, "warning", "Closing '}}' without an opening '{{'", match.index);
+    } else if (allowContainers && lexeme === "$LINK:") {
+      node = scanLink_(state, match.index, to);
+    } else if (allowContainers) {
+      node = scanTable_(state, match.index, to);
+    }
+
+    // Not a valid element: the lexeme stays part of the surrounding text
+    if (!node) continue;
+
+    pushTextNode_(state, nodes, textStart, node.start);
+    nodes.push(node);
+    textStart = syntax.lastIndex = node.end;
+  }
+
+  pushTextNode_(state, nodes, textStart, to);
+  return nodes;
+}
+
+function scanToken_(state, start, limit) {
+  const text = state.text;
+  const close = text.indexOf("}}", start + 2);
+  const nested = text.indexOf("{{", start + 2);
+  const lineBreak = text.indexOf("\n", start + 2);
+
+  if (close === -1 || close + 2 > limit || (lineBreak !== -1 && lineBreak < close)) {
+    reportTemplateIssue_(state, "warning", `Unclosed tag "${templateSnippet_(text.substring(start, findParagraphEnd_(text, start, limit)))}" - missing '}}'`, start);
+    return null;
+  }
+  if (nested !== -1 && nested < close) {
+    reportTemplateIssue_(state, "error", `Malformed tag (nested braces): "${templateSnippet_(text.substring(start, close + 2))}"`, start);
+    return null;
+  }
+
+  const node = createTemplateNode_(state, "Token", start, close + 2);
+  node.content = healTemplateText_(text.substring(start + 2, close));
+
+  const marker = node.content.match(BLOCK_MARKER_REGEX);
+  if (marker) {
+    node.type = "BlockMarker";
+    node.keyword = marker[1].toUpperCase();
+    node.argument = marker[2].trim();
+    return node;
+  }
+
+  // Filter chain: {{VAR:Revenue | currency:USD | default:"n/a"}}
+  const pipeline = splitTemplateExpression_(node.content, "|");
+  node.expression = pipeline[0];
+  node.filters = pipeline.slice(1).map(parseTemplateFilter_);
+
+  const separator = node.expression.indexOf(":");
+  node.command = (separator === -1 ? node.expression : node.expression.substring(0, separator)).trim().toUpperCase();
+  node.argument = separator === -1 ? "" : node.expression.substring(separator + 1).trim();
+  return node;
+}
+
+/**
+ * One filter of a chain: "truncate:40, ..." -> { name: "truncate", args: ["40", "..."] }
+ * Arguments are comma-separated; quote an argument that contains a comma or a pipe.
+ */
+function parseTemplateFilter_(text) {
+  const separator = text.indexOf(":");
+  const name = (separator === -1 ? text : text.substring(0, separator)).trim().toLowerCase();
+  const args = separator === -1 ? [] : splitTemplateExpression_(text.substring(separator + 1), ",")
+    .map(arg => arg.replace(/^(["'])([\s\S]*)\1$/, "$2"));
+  return { name: name, args: args };
+}
+
+/**
+ * \{{DATE}} -> literal {{DATE}} (up to the closing braces in the same paragraph), \$LINK -> $LINK, \[Table] -> [Table]
+ */
+function scanEscape_(state, start, limit, lexeme) {
+  let end = start + lexeme.length;
+
+  if (lexeme === "\\{{") {
+    const close = state.text.indexOf("}}", end);
+    if (close !== -1 && close + 2 <= findParagraphEnd_(state.text, end, limit)) end = close + 2;
+  }
+
+  const node = createTemplateNode_(state, "Escape", start, end);
+  node.literal = node.raw.substring(1);
+  return node;
+}
+
+/**
+ * [RAW] ... [/RAW]: everything in between is literal, across paragraphs.
+ */
+function scanRaw_(state, start, limit) {
+  const closing = /\[\/RAW\]/ig;
+  closing.lastIndex = start;
+  const close = closing.exec(state.text);
+
+  if (!close || close.index + close[0].length > limit) {
+    reportTemplateIssue_(state, "warning", "Unclosed [RAW] block - missing [/RAW]", start);
+    return null;
+  }
+
+  const node = createTemplateNode_(state, "Raw", start, close.index + close[0].length);
+  node.literal = state.text.substring(start + "[RAW]".length, close.index);
+  return node;
+}
+
+function scanLink_(state, start, limit) {
+  const match = state.text.substring(start, limit).match(LINK_TAG_REGEX);
+  if (!match) {
+    const paragraphEnd = findParagraphEnd_(state.text, start, limit);
+    reportTemplateIssue_(state, "warning",
+      `$LINK tag may be malformed: "${templateSnippet_(state.text.substring(start, paragraphEnd))}". Expected format: $LINK:Key, TEXT:Label$`, start);
+    return null;
+  }
+
+  const node = createTemplateNode_(state, "Link", start, start + match[0].length);
+  node.key = healTemplateText_(match[1]);
+  node.label = healTemplateText_(match[2]);
+  node.children = scanTemplateSpan_(state, node.start, node.end, false);
+  return node;
+}
+
+function scanTable_(state, start, limit) {
+  const end = findParagraphEnd_(state.text, start, limit);
+  const match = state.text.substring(start, end).match(TABLE_TAG_REGEX);
+  if (!match) {
+    reportTemplateIssue_(state, "error",
+      `Malformed [Table] tag: "${templateSnippet_(state.text.substring(start, end))}". Expected format: [Table] Sheet: <ID or URL>, range: 'Sheet'!A1:D10`, start);
+    return null;
+  }
+
+  const node = createTemplateNode_(state, "Table", start, end);
+  const options = splitTableOptions_(match[2]);
+  node.sheet = match[1];
+  node.range = options.range;
+  node.options = options.options;
+  node.children = scanTemplateSpan_(state, node.start, node.end, false);
+  return node;
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function createTemplateNode_(state, type, start, end) {
+  return { type: type, raw: state.text.substring(start, end), start: start, end: end, position: state.tracker.at(start) };
+}
+
+function pushTextNode_(state, nodes, start, end) {
+  if (end > start) nodes.push(createTemplateNode_(state, "Text", start, end));
+}
+
+function reportTemplateIssue_(state, severity, message, index) {
+  state.issues.push({ severity: severity, message: message, position: state.tracker.at(index) });
+}
+
+/**
+ * End of the paragraph containing index: the first PARAGRAPH_END_TAGS tag, a newline, or the limit.
+ */
+function findParagraphEnd_(text, index, limit) {
+  PARAGRAPH_END_REGEX.lastIndex = index;
+  const match = PARAGRAPH_END_REGEX.exec(text);
+  return match && match.index < limit ? match.index : limit;
+}
+
+/**
+ * Strips what Doc formatting leaves inside a tag: {{ <b>DATE</b> }} -> DATE
+ */
+function healTemplateText_(text) {
+  return text
+    .replace(/<[^>]+>/g, "")      // Strip HTML
+    .replace(/&nbsp;/g, " ")      // NBSP -> space
+    .replace(/\s+/g, " ")         // Collapse spaces
+    .trim();
+}
+
+/**
+ * Splits on a separator outside quotes and trims the parts: 'A|B'!B2 | upper -> ["'A|B'!B2", "upper"]
+ */
+function splitTemplateExpression_(text, separator) {
+  const parts = [];
+  let current = "";
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      // An apostrophe inside a word (Owner's) does not open a quote
+      if (char === '"' || /(^|[\s:,|!])$/.test(current)) quote = char;
+    } else if (char === separator) {
+      parts.push(current.trim());
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * Separates the range of a [Table] tag from the options after it.
+ * Input:  'KPI'!A1:D9, highlight: C &gt; 95% green  -> { range: "'KPI'!A1:D9", options: { highlight: "C > 95% green" } }
+ * Input:  'KPI'!A1:D9, hide-empty-columns          -> { range: "'KPI'!A1:D9", options: { "hide-empty-columns": true } }
+ */
+function splitTableOptions_(text) {
+  const space = "(?:\\s|&nbsp;|<[^>]+>)*";
+  const optionRegex = new RegExp(
+    `,${space}(?:(${TABLE_OPTION_NAMES.join("|")})${space}:|(${TABLE_FLAG_NAMES.join("|")})${space}(?=,|[.;]?$))`, "gi");
+  const found = [];
+  let match;
+  while ((match = optionRegex.exec(text)) !== null) {
+    found.push({ name: (match[1] || match[2]).toLowerCase(), flag: !match[1], start: match.index, valueStart: optionRegex.lastIndex });
+  }
+
+  const options = {};
+  found.forEach((option, i) => {
+    if (option.flag) {
+      options[option.name] = true;
+      return;
+    }
+    const value = text.substring(option.valueStart, i + 1 < found.length ? found[i + 1].start : text.length);
+    options[option.name] = healTemplateText_(value)
+      .replace(/&gt;/g, ">")
+      .replace(/&lt;/g, "<")
+      .replace(/&quot;/g, '"')
+      .replace(/&amp;/g, "&")
+      .replace(/[\u201C\u201D]/g, '"') // Smart Quotes -> "
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[.;]$/, "");         // Trailing punctuation ("... red.")
+  });
+
+  return { range: found.length > 0 ? text.substring(0, found[0].start) : text, options: options };
+}
+
+function templateSnippet_(text) {
+  const clean = healTemplateText_(text);
+  return clean.length > 50 ? clean.substring(0, 50) + "..." : clean;
+}
+
+/**
+ * Converts string indexes into { paragraph, offset }.
+ * Positions are requested in increasing order while scanning, so the walk resumes where it stopped.
+ */
+function createPositionTracker_(text) {
+  let index = 0;
+  let paragraph = 0;
+  let offset = 0;
+
+  return {
+    at(target) {
+      if (target < index) {
+        index = 0;
+        paragraph = 0;
+        offset = 0;
+      }
+
+      while (index < target) {
+        const char = text.charAt(index);
+
+        if (char === "<") {
+          const close = text.indexOf(">", index);
+          if (close !== -1 && close < target) {
+            if (PARAGRAPH_END_TAG_REGEX.test(text.substring(index, close + 1))) {
+              paragraph++;
+              offset = 0;
+            }
+            index = close + 1;
+            continue;
+          }
+          // Target lies inside the tag (e.g. a token in an href): report the tag's position
+          if (close !== -1) break;
+        }
+
+        if (char === "\n") {
+          paragraph++;
+          offset = 0;
+          index++;
+          continue;
+        }
+
+        // An entity is a single visible character
+        const entity = char === "&" ? text.substring(index, index + 10).match(/^&(#\d+|#x[0-9a-f]+|[a-z]+);/i) : null;
+        index += entity && index + entity[0].length <= target ? entity[0].length : 1;
+        offset++;
+      }
+
+      return { paragraph: paragraph, offset: offset };
+    }
+  };
+}
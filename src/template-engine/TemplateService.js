@@ -3,62 +3,222 @@
  * Responsible for fetching Google Docs, replacing tokens ({{KEY}}), and converting to Gmail-friendly HTML.
  */
 
+// Built-in dictionary commands. These names are reserved: a caller variable with the same name is ignored.
+const DICTIONARY_COMMANDS = [
+  "DATE", "RANGE", "TIME", "MONTHNAME",
+  "DATE_FORMAT", "GREETING", "ACTIVE_SPREADSHEET_LINK", "THIS_SHEET",
+  "CELL", "NAMED", "VAR",
+  "QUARTER", "FISCAL_QUARTER", "FISCAL_YEAR", "WEEKNUM", "ISOWEEK"
+];
+
+// Commands that accept a trailing time zone: {{TIME:Europe/London}}, {{DATE:Today:America/New_York}}
+const ZONED_COMMANDS = [
+  "DATE", "RANGE", "TIME", "MONTHNAME", "DATE_FORMAT", "GREETING",
+  "QUARTER", "FISCAL_QUARTER", "FISCAL_YEAR", "WEEKNUM", "ISOWEEK"
+];
+
+// {{TIME}} without a token, template or config zone: the engine's original output ("HH:mm MYT")
+const DEFAULT_TIME_TOKEN_ZONE = "MYT";
+
+// Built-in time zone aliases (extend with the timeZoneAliases config setting)
+const DEFAULT_TIME_ZONE_ALIASES = {
+  MYT: { zone: "Asia/Kuala_Lumpur", label: "MYT" },
+  KUL: { zone: "Asia/Kuala_Lumpur", label: "MYT" },
+  BKK: { zone: "Asia/Bangkok", label: "ICT" },
+  MNL: { zone: "Asia/Manila", label: "PHT" },
+  SGT: { zone: "Asia/Singapore", label: "SGT" },
+  LON: { zone: "Europe/London", label: "UK" },
+  NYC: { zone: "America/New_York", label: "ET" },
+  UTC: { zone: "UTC", label: "UTC" }
+};
+
+
+// Partials: a paragraph containing only [INCLUDE:Tab_Name, doc: <ID or URL>, Key=Value]
+const INCLUDE_DIRECTIVE_REGEX = /^\[INCLUDE:\s*(.+?)\s*\]$/i;
+const MAX_INCLUDE_DEPTH = 10;
+
+// [PREHEADER]: hidden inbox preview text, padded to about the length clients show
+const PREHEADER_ATTRIBUTE = "data-preheader";
+const PREHEADER_LENGTH = 150;
+
+// Global variable to cache opened template documents within a single execution
+let _DOCUMENT_CACHE = {};
 
 // ==========================================
 // MAIN PUBLIC FUNCTION
 // ==========================================
-function fetchTemplate(tabName, documentId) {
+/**
+ * Reads a template tab (or a Markdown / HTML file, see TemplateSources) and returns the rendered sections.
+ * @param {string} tabName - The tab in the Doc (the template name for file sources).
+ * @param {string} documentId - The template Doc ID (partials of file templates are read from it).
+ * @param {Object} [context] - Optional render context from createRenderContext_ (variables, unresolved tokens).
+ * @return {Object|null} { subject, preheader, body, to, cc, bcc, replyTo, from, priority, attachments, contentHash, rawContent }
+ *   or null if the tab does not exist
+ */
+function fetchTemplate(tabName, documentId, context = {}) {
 
-  if (!documentId) {
-    Logger.log("No document ID provided.");
-    return null;
-  }
+  const template = readTemplateSections_(tabName, documentId, context.config);
+  if (!template) return null;
 
-  const doc = DocumentApp.openById(documentId);
-  const tabs = doc.getTabs();
+  const result = { ...template.sections };
 
-  const targetTab = findTabRecursive_(tabs, tabName);
+  // Render problems are reported per section; partials (e.g. the signature) are prefixed with their tab
+  const sectionContext = (section) => ({
+    ...context,
+    section: context.templateName && context.templateName !== tabName ? `${tabName}/${section}` : section
+  });
 
-  if (!targetTab) {
-    Logger.log("Template tab not found: " + tabName);
-    return null;
+  result.body = template.renderBody(template.bodyItems, sectionContext("BODY"));
+
+  // [TIMEZONE] section: default zone for every date/time token of this template
+  if (result.timeZone) {
+    const templateZone = resolveTimeZone_(result.timeZone, context);
+    if (templateZone) context = { ...context, timeZone: templateZone.zone, timeZoneLabel: templateZone.label };
+    else Logger.log(`⚠️ Unknown [TIMEZONE] value: ${result.timeZone}`);
   }
 
-  const bodyElement = targetTab.asDocumentTab().getBody();
-  const numChildren = bodyElement.getNumChildren();
+  // [TABLE_MODE] section: layout of every [Table] in this template without its own mode:
+  if (result.tableMode) {
+    if (isTableRenderMode_(result.tableMode)) context = { ...context, tableMode: result.tableMode.toLowerCase() };
+    else Logger.log(`⚠️ Unknown [TABLE_MODE] value: ${result.tableMode}`);
+  }
 
-  let result = { subject: "", body: "", to: "", cc: "" };
-  let mode = "none";
+  // Conditional blocks run first so inactive branches are never rendered
+  const renderSection = (text, section, plainText = false) => {
+    const renderContext = { ...sectionContext(section), plainText: plainText };
+    return applyDictionary_(applyTemplateBlocks_(text, renderContext), renderContext);
+  };
+  // Plain-text sections are not HTML: values are not escaped and escaped syntax goes back to the characters
+  const renderTextSection = (text, section) => unescapeTemplateSyntax_(renderSection(text, section, true));
+  const renderLine = (text, section) => renderTextSection(text, section).replace(/\s+/g, " ").trim();
+
+  const preheader = renderLine(result.preheader, "PREHEADER");
+
+  return {
+    subject: renderLine(result.subject, "SUBJECT"),
+    preheader: preheader,
+    // Hidden preview text goes first so inbox snippets do not show the first table cell
+    body: buildPreheaderHtml_(preheader) + processTables(renderSection(result.body, "BODY"), sectionContext("BODY")),
+    to: renderTextSection(result.to, "TO"),
+    cc: renderTextSection(result.cc, "CC"),
+    bcc: renderTextSection(result.bcc, "BCC"),
+    replyTo: renderTextSection(result.replyTo, "REPLY_TO"),
+    from: renderTextSection(result.from, "FROM"),
+    priority: renderTextSection(result.priority, "PRIORITY").trim(),
+    // One line per attachment; tokens allow dated names, e.g. Report_{{DATE_FORMAT:Today:yyyyMMdd}}*.pdf
+    attachments: result.attachments.map(line => unescapeTemplateSyntax_(applyDictionary_(line, { ...sectionContext("ATTACHMENTS"), plainText: true }))),
+    // Hash and text of the unrendered sections (see TemplateSnapshots)
+    contentHash: template.contentHash,
+    rawContent: template.rawContent
+  };
+
+}
 
-  for (let i = 0; i < numChildren; i++) {
+// Section markers of a template ("[SUBJECT]" paragraph) and the key they fill.
+// Also ends the [BODY] of an included partial (see resolveInclude_).
+const TEMPLATE_SECTIONS = {
+  SUBJECT: "subject", PREHEADER: "preheader", BODY: "body", TO: "to", CC: "cc", BCC: "bcc",
+  REPLY_TO: "replyTo", FROM: "from", PRIORITY: "priority", TIMEZONE: "timeZone", TABLE_MODE: "tableMode",
+  ATTACHMENTS: "attachments"
+};
 
-    const child = bodyElement.getChild(i);
-    const text = child.getText().trim();
+// Order of the sections in rawContent (the snapshot text that is hashed)
+const SNAPSHOT_SECTIONS = Object.keys(TEMPLATE_SECTIONS)
+  .filter(marker => marker !== "BODY")
+  .map(marker => [marker, TEMPLATE_SECTIONS[marker]]);
 
-    if (text === "[SUBJECT]") { mode = "subject"; continue; }
-    if (text === "[BODY]") { mode = "body"; continue; }
-    if (text === "[TO]") { mode = "to"; continue; }
-    if (text === "[CC]") { mode = "cc"; continue; }
+/**
+ * @param {string} text - Trimmed paragraph text
+ * @return {string|null} Key of the section this paragraph starts (e.g. "replyTo"), or null
+ */
+function getTemplateSectionKey_(text) {
+  const match = text.match(/^\[([A-Z_]+)\]$/);
+  return match && Object.prototype.hasOwnProperty.call(TEMPLATE_SECTIONS, match[1]) ? TEMPLATE_SECTIONS[match[1]] : null;
+}
+
+/**
+ * Splits a template into its unrendered sections, without rendering anything.
+ * @param {string} tabName - Template (tab) name
+ * @param {string} documentId - The template Doc ID
+ * @param {AppConfig} [config] - Selects the template source (templateSources)
+ * @return {Object|null} { sections, bodyItems, renderBody, contentHash, rawContent } or null if the template does not exist
+ */
+function readTemplateSections_(tabName, documentId, config) {
 
-    if (mode === "subject" && text !== "") { result.subject = text; mode = "none"; }
+  // Doc tab by default; Markdown / HTML files via the templateSources setting
+  const template = loadTemplateSource_(resolveTemplateSource_(tabName, documentId, config), tabName);
+  if (!template) return null;
+
+  const result = { subject: "", preheader: "", body: "", to: "", cc: "", bcc: "", replyTo: "", from: "", priority: "", attachments: [], timeZone: "", tableMode: "" };
+  let mode = "none";
+  const bodyItems = [];
+  const bodyText = [];
+
+  for (const { text, item } of template.paragraphs) {
+
+    const section = getTemplateSectionKey_(text);
+    if (section) { mode = section; continue; }
+
+    // Subject and preheader lines are joined into one line (blocks may span them)
+    if (mode === "subject" && text !== "") result.subject += text + " ";
+    else if (mode === "preheader" && text !== "") result.preheader += text + " ";
+    else if (mode === "timeZone" && text !== "") { result.timeZone = text; mode = "none"; }
+    else if (mode === "tableMode" && text !== "") { result.tableMode = text; mode = "none"; }
+    else if (mode === "from" && text !== "") { result.from = text; mode = "none"; }
+    else if (mode === "priority" && text !== "") { result.priority = text; mode = "none"; }
     else if (mode === "to" && text !== "") result.to += text + ",";
     else if (mode === "cc" && text !== "") result.cc += text + ",";
-    else if (mode === "body") result.body += convertElementToHtml_(child);
+    else if (mode === "bcc" && text !== "") result.bcc += text + ",";
+    else if (mode === "replyTo" && text !== "") result.replyTo += text + ",";
+    else if (mode === "attachments" && text !== "") result.attachments.push(text);
+    else if (mode === "body") {
+      bodyItems.push(item);
+      bodyText.push(text);
+    }
 
   }
 
-  const processedSubject = applyDictionary_(result.subject);
-  let processedBody = applyDictionary_(result.body);
-
-  processedBody = processTables(processedBody);
+  // Snapshot: one [SECTION] header per non-empty section, then the body paragraphs (text only)
+  const lines = [];
+  SNAPSHOT_SECTIONS.forEach(([marker, key]) => {
+    const value = [].concat(result[key]).join("\n").trim();
+    if (value) lines.push(`[${marker}]`, value);
+  });
+  lines.push("[BODY]", ...bodyText);
+  const rawContent = lines.join("\n").replace(/\n+$/, "");
 
   return {
-    subject: processedSubject,
-    body: processedBody,
-    to: result.to,
-    cc: result.cc
+    sections: result,
+    bodyItems: bodyItems,
+    renderBody: template.renderBody,
+    contentHash: computeContentHash_(rawContent),
+    rawContent: rawContent
   };
+}
 
+/**
+ * @param {string} text
+ * @return {string} SHA-256 of the text as 64 hex characters
+ */
+function computeContentHash_(text) {
+  const bytes = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8);
+  return bytes.map(byte => ((byte + 256) % 256).toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Hidden preview text for the inbox snippet. Padded with invisible characters so clients
+ * do not append the start of the body to a short preheader.
+ * @param {string} text - Rendered preheader (plain text)
+ * @return {string} HTML to place at the top of the body, or "" if there is no preheader
+ */
+function buildPreheaderHtml_(text) {
+  if (!text) return "";
+
+  const safeText = text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const padding = "&#847;&zwnj;&nbsp;".repeat(Math.max(0, PREHEADER_LENGTH - text.length));
+
+  return `<div ${PREHEADER_ATTRIBUTE} style="display:none;max-height:0;max-width:0;overflow:hidden;mso-hide:all;` +
+    `font-size:1px;line-height:1px;color:transparent;opacity:0;">${safeText}${padding}</div>`;
 }
 
 function parseRecipientKeys(rawString) {
@@ -67,71 +227,267 @@ function parseRecipientKeys(rawString) {
 }
 
 
-function applyDictionary_(text) {
-  if (!text) return "";
-
-  // 1. HARDEN REGEX & PRE-CLEANING
-  // First, strip HTML tags from INSIDE the brackets: {{ <b>DATE</b> }} -> {{DATE}}
-  const healedText = text.replace(/\{\{(.*?)\}\}/g, (match, inner) => {
-    const cleanInner = inner
-      .replace(/<[^>]+>/g, "")      // Strip HTML
-      .replace(/&nbsp;/g, " ")      // NBSP -> space
-      .replace(/\s+/g, " ")         // Collapse spaces
-      .trim();
-    return "{{" + cleanInner + "}}";
-  });
+/**
+ * Builds the render context shared by every section of one template run.
+ * Variable precedence (highest first):
+ *   1. Built-in dictionary commands ({{DATE}}, {{TIME}}, ...) - reserved, cannot be overridden
+ *   2. {{#EACH}} row values (inside the repeated block only)
+ *   3. The `variables` map passed to generateEmailDraft
+ *   4. Values returned by `variablesProvider(templateName, config)`
+ *   5. The Variables tab: rows scoped to this template, then global rows
+ * @param {string} templateName - The template being rendered
+ * @param {AppConfig} [config] - The configuration instance
+ * @param {Object} [variables] - Caller-supplied values, e.g. { REGION: "APAC" }
+ * @param {Function} [variablesProvider] - Optional hook returning additional values
+ * @param {Object} [sheetVariables] - From selectTemplateVariables_
+ * @return {Object} Render context { templateName, config, variables, sheetVariables, unresolved, inlineImages }
+ */
+function createRenderContext_(templateName, config, variables = {}, variablesProvider = null, sheetVariables = {}) {
+  let providedVariables = {};
 
-  // 2. PARSE CLEAN TAGS
-  return healedText.replace(/\{\{(.*?)\}\}/g, function (match, content) {
+  if (typeof variablesProvider === "function") {
     try {
-      const parts = content.split(":").map(p => p.trim());
-      const command = parts[0].toUpperCase();
-      const param1 = parts[1] || "Today";
-      const param2 = parts[2] || "Today";
-
-      switch (command) {
-        case "DATE": return formatDate_(parseDateToken_(param1));
-        case "RANGE": return formatDate_(parseDateToken_(param1)) + " - " + formatDate_(parseDateToken_(param2));
-
-        case "TIME":
-          if (param1 === "BKK") return getRoundedTime_("Asia/Bangkok", "ICT");
-          return getRoundedTime_("Asia/Kuala_Lumpur", "MYT");
-
-        case "MONTHNAME":
-          let d = new Date();
-          if (!isNaN(Number(param1))) {
-            d.setDate(1);
-            d.setMonth(d.getMonth() + parseInt(param1, 10));
-          } else {
-            d = parseDateToken_(param1);
-          }
-          return Utilities.formatDate(d, Session.getScriptTimeZone(), "MMMM yyyy");
-
-        case "DATE_FORMAT":
-          const dateObj = parseDateToken_(param1);
-          const formatStr = parts[2] || "dd-MMM-yyyy";
-          return Utilities.formatDate(dateObj, Session.getScriptTimeZone(), formatStr.trim());
-
-        case "ACTIVE_SPREADSHEET_LINK":
-          return SpreadsheetApp.getActiveSpreadsheet().getUrl();
-
-        case "GREETING":
-          const h = new Date().getHours();
-          if (h < 12) return "Good Morning";
-          if (h < 17) return "Good Afternoon";
-          return "Good Evening";
-
-        default: return match; // Unknown tag, leave as is
-      }
+      providedVariables = variablesProvider(templateName, config) || {};
     } catch (e) {
-      return "ERROR";
+      Log.warn("TemplateService", `variablesProvider failed: ${e.message}`);
+    }
+  }
+
+  const merged = { ...providedVariables, ...(variables || {}) };
+
+  Object.keys(merged).forEach(name => {
+    if (DICTIONARY_COMMANDS.includes(name.toUpperCase())) {
+      Log.warn("TemplateService", `Variable "${name}" is a reserved dictionary command and will be ignored`);
+      delete merged[name];
     }
   });
+
+  return {
+    templateName: templateName,
+    config: config,
+    variables: merged,
+    sheetVariables: sheetVariables,
+    unresolved: [],
+    renderReport: [], // { token, location, reason } for every token, link or table that failed
+    inlineImages: {} // cid -> Blob, filled while converting the Doc and signature
+  };
 }
 
-function parseDateToken_(token) {
-  const now = new Date();
+/**
+ * Records a token, link, table or block that could not be rendered.
+ * The report is returned by generateEmailDraft and aborts it in strict mode.
+ * @param {Object} context - Render context (ignored if it has no renderReport)
+ * @param {Object} node - Parser node ({ raw, position }); position is optional
+ * @param {string} reason - Why it failed
+ */
+function reportRenderIssue_(context, node, reason) {
+  if (!context || !context.renderReport) return;
+
+  const location = [
+    context.section ? `[${context.section}]` : "",
+    node.position ? formatTemplatePosition_(node.position) : ""
+  ].filter(part => part).join(" ");
+
+  context.renderReport.push({ token: templateSnippet_(node.raw || ""), location: location, reason: reason });
+}
+
+/**
+ * Looks up a template variable (exact key first, then case-insensitive):
+ * caller-supplied variables first, then the Variables tab.
+ * @param {string} name - Variable name
+ * @param {Object} [context] - Render context ({ variables, sheetVariables })
+ * @return {*} The value, or undefined if the variable is not defined
+ */
+function lookupTemplateVariable_(name, context) {
+  if (!context || !name) return undefined;
+
+  const value = findVariableByName_(context.variables, name);
+  if (value !== undefined) return value;
+
+  const sheetVariable = findVariableByName_(context.sheetVariables, name);
+  return sheetVariable === undefined ? undefined : resolveSheetVariable_(sheetVariable);
+}
+
+function findVariableByName_(variables, name) {
+  if (!variables) return undefined;
+  if (Object.prototype.hasOwnProperty.call(variables, name)) return variables[name];
+
+  const lowerName = name.toLowerCase();
+  const key = Object.keys(variables).find(k => k.toLowerCase() === lowerName);
+  return key === undefined ? undefined : variables[key];
+}
+
+function applyDictionary_(text, context = {}) {
+  if (!text) return "";
+
+  // Tokens come back healed from the parser: {{ <b>DATE</b> }} -> DATE
+  return renderTemplateNodes_(parseTemplate_(text).nodes, node => {
+    if (node.type === "Token") return renderDictionaryToken_(node, context);
+    if (node.type === "BlockMarker") return "{{" + node.content + "}}";
+    return undefined;
+  });
+}
+
+/**
+ * Resolves one dictionary token and runs its filter chain: {{VAR:Revenue | currency:USD}}
+ * @param {Object} token - Token node from parseTemplate_
+ * @param {Object} context - Render context
+ * @return {string} The value, or the tag itself when nothing matches
+ */
+function renderDictionaryToken_(token, context) {
+  try {
+    token.filters.filter(f => !isTemplateFilter_(f.name)).forEach(f => {
+      reportRenderIssue_(context, token, `Unknown filter '${f.name}'`);
+    });
+
+    let value = resolveDictionaryValue_(token.expression, context);
+    if (token.filters.length > 0) value = applyTemplateFilters_(value, token.filters, context);
+    if (value !== undefined) return renderTokenValue_(value, token, context);
+
+    // Looks like a variable but nobody supplied it: report it
+    const name = token.command === "VAR" ? token.argument : token.expression;
+    const isVariableName = /^[A-Za-z_][\w ]*$/.test(name);
+    if (isVariableName && context.unresolved && !context.unresolved.includes(name)) {
+      context.unresolved.push(name);
+    }
+    reportRenderIssue_(context, token, isVariableName ? `Unresolved variable '${name}'` : "Unknown tag");
+    return "{{" + token.content + "}}"; // Unknown tag, leave as is
+  } catch (e) {
+    reportRenderIssue_(context, token, e.message);
+    return "ERROR";
+  }
+}
+
+/**
+ * Value of a dictionary expression (the token without its filters).
+ * Dates are returned as Date objects so filters can re-format them.
+ * @param {string} content - e.g. "DATE:Today+1" or "REGION"
+ * @param {Object} context - Render context
+ * @return {*} The value, or undefined when nothing matches
+ */
+function resolveDictionaryValue_(content, context) {
+  const parts = content.split(":").map(p => p.trim());
+  const command = parts[0].toUpperCase();
+
+  // Optional trailing time zone (IANA name or alias): {{DATE:Today:America/New_York}}
+  let zoneContext = context;
+  if (ZONED_COMMANDS.includes(command) && parts.length > 1) {
+    const zone = resolveTimeZone_(parts[parts.length - 1], context);
+    if (zone) {
+      parts.pop();
+      zoneContext = { ...context, timeZone: zone.zone, timeZoneLabel: zone.label };
+    }
+  }
+
+  const param1 = parts[1] || "Today";
+  const param2 = parts[2] || "Today";
+
+  switch (command) {
+    case "DATE": return parseDateToken_(param1, zoneContext);
+    case "RANGE": return formatDate_(parseDateToken_(param1, zoneContext)) + " - " + formatDate_(parseDateToken_(param2, zoneContext));
+
+    case "TIME":
+      if (!hasTimeZoneSetting_(zoneContext)) {
+        const timeZone = resolveTimeZone_(DEFAULT_TIME_TOKEN_ZONE, zoneContext);
+        return getRoundedTime_(timeZone.zone, timeZone.label);
+      }
+      return getRoundedTime_(getTimeZone_(zoneContext), getTimeZoneLabel_(zoneContext));
+
+    case "MONTHNAME":
+      let d = getZonedNow_(zoneContext);
+      if (!isNaN(Number(param1))) {
+        d.setDate(1);
+        d.setMonth(d.getMonth() + parseInt(param1, 10));
+      } else {
+        d = parseDateToken_(param1, zoneContext);
+      }
+      return formatDate_(d, "MMMM yyyy");
+
+    case "DATE_FORMAT":
+      // The format itself may contain ':' (HH:mm), so re-join everything after the date token
+      const dateObj = parseDateToken_(param1, zoneContext);
+      const formatStr = parts.slice(2).join(":") || "dd-MMM-yyyy";
+      return formatDate_(dateObj, formatStr.trim());
+
+    // Calendar / fiscal periods, optionally for another date: {{QUARTER:Today-30}}
+    case "QUARTER": return "Q" + (Math.floor(parseDateToken_(param1, zoneContext).getMonth() / 3) + 1);
+    case "FISCAL_QUARTER": return "Q" + getFiscalPeriod_(parseDateToken_(param1, zoneContext), zoneContext).quarter;
+    case "FISCAL_YEAR": return "FY" + String(getFiscalPeriod_(parseDateToken_(param1, zoneContext), zoneContext).year).slice(-2);
+    case "WEEKNUM": return String(getWeekNumber_(parseDateToken_(param1, zoneContext)));
+    case "ISOWEEK": return String(getIsoWeek_(parseDateToken_(param1, zoneContext)));
+
+    case "ACTIVE_SPREADSHEET_LINK":
+      return SpreadsheetApp.getActiveSpreadsheet().getUrl();
+
+    // {{CELL:<Sheet ID/URL>, 'KPI'!B2}} / {{NAMED:<Sheet ID/URL>, Ticket_Count}}
+    // Everything after the first ':' is the reference (URLs contain ':' themselves)
+    case "CELL":
+      return getSheetCellDisplayValue_(content.substring(content.indexOf(":") + 1));
+
+    case "NAMED":
+      return getNamedRangeDisplayValue_(content.substring(content.indexOf(":") + 1));
+
+    // {{VAR:On_Call_Manager}}: caller variable or a row of the Variables tab
+    case "VAR":
+      return lookupTemplateVariable_(content.substring(content.indexOf(":") + 1).trim(), context);
+
+    case "GREETING":
+      // Based on the audience's clock: {{GREETING:Asia/Manila}}
+      const h = getZonedNow_(zoneContext).getHours();
+      if (h < 12) return "Good Morning";
+      if (h < 17) return "Good Afternoon";
+      return "Good Evening";
+
+    default:
+      // Caller-supplied variable ({{REGION}}, {{INCIDENT_COUNT}})
+      return lookupTemplateVariable_(content.trim(), context);
+  }
+}
+
+/**
+ * Text of a resolved token. Values are HTML-escaped unless the section is plain text,
+ * the token ends in `| raw` / `| escape`, or the value is HTML built by the engine (createHtmlValue_).
+ * @param {*} value - Resolved (and filtered) value
+ * @param {Object} token - Token node from parseTemplate_
+ * @param {Object} context - Render context ({ plainText })
+ * @return {string}
+ */
+function renderTokenValue_(value, token, context) {
+  if (isHtmlValue_(value)) return value.html;
+  const text = formatVariableValue_(value);
+  const optedOut = token.filters.some(f => f.name === "raw" || f.name === "escape");
+  return context.plainText || optedOut ? text : escapeHtml_(text);
+}
+
+/**
+ * Marks HTML built by the engine (e.g. the signature logo) so tokens insert it unescaped.
+ * @param {string} html
+ * @return {Object} { html }
+ */
+function createHtmlValue_(html) {
+  return { html: String(html) };
+}
+
+function isHtmlValue_(value) {
+  return Boolean(value) && typeof value === "object" && typeof value.html === "string";
+}
+
+function formatVariableValue_(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return formatDate_(value);
+  return String(value);
+}
+
+/**
+ * Resolves a natural-language date token (Today+3, Next Friday, PrevBusinessDay, ...).
+ * @param {string} token - The date token
+ * @param {Object} [context] - Render context; its config provides the holiday calendar for business-day tokens
+ * @return {Date}
+ */
+function parseDateToken_(token, context) {
+  const now = getZonedNow_(context);
   const lowerToken = token.toLowerCase().trim();
+  const compactToken = lowerToken.replace(/[\s_]/g, "");
 
   // 1. RELATIVE WORDS
   if (lowerToken === "today") return now;
@@ -142,6 +498,22 @@ function parseDateToken_(token) {
     now.setDate(1);
     return now;
   }
+  if (lowerToken === "monthend") {
+    now.setMonth(now.getMonth() + 1, 0);
+    return now;
+  }
+  if (lowerToken === "quarterstart") {
+    now.setMonth(Math.floor(now.getMonth() / 3) * 3, 1);
+    return now;
+  }
+  if (lowerToken === "quarterend") {
+    now.setMonth(Math.floor(now.getMonth() / 3) * 3 + 3, 0);
+    return now;
+  }
+  if (lowerToken === "yearstart") {
+    now.setMonth(0, 1);
+    return now;
+  }
   if (lowerToken.includes("weekstart")) {
     const day = now.getDay(); // 0 (Sun) - 6 (Sat)
     const diff = now.getDate() - day; // Adjust to Sunday
@@ -149,6 +521,28 @@ function parseDateToken_(token) {
     return now;
   }
 
+  // 1b. BUSINESS DAYS (Today+3bd, PrevBusinessDay, LastBusinessDayOfMonth)
+  // Skips weekends and the holidays from the configured calendar
+  const businessMatch = compactToken.match(/^today([+-])(\d+)bd$/);
+  if (businessMatch) {
+    const days = parseInt(businessMatch[2], 10) * (businessMatch[1] === "+" ? 1 : -1);
+    return addBusinessDays_(now, days, getBusinessCalendar_(context));
+  }
+  if (compactToken === "prevbusinessday" || compactToken === "previousbusinessday") {
+    return addBusinessDays_(now, -1, getBusinessCalendar_(context));
+  }
+  if (compactToken === "nextbusinessday") {
+    return addBusinessDays_(now, 1, getBusinessCalendar_(context));
+  }
+  if (compactToken === "firstbusinessdayofmonth") {
+    now.setDate(1);
+    return rollToBusinessDay_(now, 1, getBusinessCalendar_(context));
+  }
+  if (compactToken === "lastbusinessdayofmonth") {
+    now.setMonth(now.getMonth() + 1, 0);
+    return rollToBusinessDay_(now, -1, getBusinessCalendar_(context));
+  }
+
   // 2. DAY ARITHMETIC (Today+7, Today-3)
   if (lowerToken.startsWith("today")) {
     const operator = lowerToken.includes("+") ? 1 : (lowerToken.includes("-") ? -1 : 0);
@@ -194,118 +588,267 @@ function parseDateToken_(token) {
   return now; // Fallback to Today
 }
 
-function formatDate_(d) {
-  return Utilities.formatDate(d, Session.getScriptTimeZone(), "dd-MMM-yyyy");
+/**
+ * Fiscal quarter and fiscal year of a date.
+ * The fiscal year is named after the calendar year it ends in (start month 7: Jul 2025 - Jun 2026 = FY26).
+ * @param {Date} date
+ * @param {Object} [context] - Render context; config.fiscalYearStartMonth (1-12) defaults to 1 (January)
+ * @return {Object} { quarter: number, year: number }
+ */
+function getFiscalPeriod_(date, context) {
+  const startMonth = (context && context.config && context.config.fiscalYearStartMonth) || 1;
+  const fiscalMonthIndex = (date.getMonth() - (startMonth - 1) + 12) % 12;
+
+  let year = date.getFullYear();
+  if (startMonth > 1 && date.getMonth() >= startMonth - 1) year++;
+
+  return { quarter: Math.floor(fiscalMonthIndex / 3) + 1, year: year };
 }
 
-function convertElementToHtml_(element) {
+/**
+ * Week number as in Sheets WEEKNUM(): weeks start on Sunday, the week containing 1 Jan is week 1.
+ */
+function getWeekNumber_(date) {
+  const jan1 = new Date(date.getFullYear(), 0, 1);
+  const dayOfYear = Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - jan1) / 86400000);
+  return Math.floor((dayOfYear + jan1.getDay()) / 7) + 1;
+}
 
-  if (element.getType() === DocumentApp.ElementType.PARAGRAPH) {
-    let text = element.getText();
-    if (text === "") return "<br>";
-    return "<p style='margin:0;padding:0;'>" + getFormattedText_(element) + "</p>";
-  }
+/**
+ * ISO 8601 week number: weeks start on Monday, week 1 contains the year's first Thursday.
+ */
+function getIsoWeek_(date) {
+  const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  target.setDate(target.getDate() + 3 - ((target.getDay() + 6) % 7)); // Thursday of this week
+  const firstThursday = new Date(target.getFullYear(), 0, 4);
+  firstThursday.setDate(firstThursday.getDate() + 3 - ((firstThursday.getDay() + 6) % 7));
+  return 1 + Math.round((target - firstThursday) / (7 * 86400000));
+}
 
-  if (element.getType() === DocumentApp.ElementType.LIST_ITEM) {
-    return "<li>" + getFormattedText_(element) + "</li>";
-  }
+/**
+ * Formats a date from parseDateToken_.
+ * Those dates already carry the wall-clock time of the target zone (see getZonedNow_),
+ * so they are formatted in the script zone to avoid shifting them twice.
+ * @param {Date} d
+ * @param {string} [format] - Utilities.formatDate pattern, default dd-MMM-yyyy
+ * @return {string}
+ */
+function formatDate_(d, format = "dd-MMM-yyyy") {
+  return Utilities.formatDate(d, Session.getScriptTimeZone(), format);
+}
+
+// ==========================================
+// TIME ZONES
+// ==========================================
 
-  if (element.getType() === DocumentApp.ElementType.HORIZONTAL_RULE) {
-    return "<hr style='border:0;border-top:1px solid #ccc;margin:15px 0;'>";
+/**
+ * Resolves an IANA zone name ("Europe/London") or an alias ("BKK") to { zone, label }.
+ * Aliases come from DEFAULT_TIME_ZONE_ALIASES plus config.timeZoneAliases.
+ * @param {string} value - Zone name or alias
+ * @param {Object} [context] - Render context ({ config })
+ * @return {Object|null} { zone, label } or null if the value is not a time zone
+ */
+function resolveTimeZone_(value, context) {
+  if (!value) return null;
+  const name = String(value).trim();
+
+  const configAliases = (context && context.config && context.config.timeZoneAliases) || {};
+  const aliases = { ...DEFAULT_TIME_ZONE_ALIASES, ...configAliases };
+  const alias = aliases[name.toUpperCase()];
+  if (alias) {
+    return typeof alias === "string" ? { zone: alias, label: name.toUpperCase() } : alias;
   }
 
-  if (element.getType() === DocumentApp.ElementType.TABLE) {
-    return processTableHTML_(element);
+  // IANA names: Region/City (the region list keeps date formats like dd/MM/yyyy out)
+  if (/^(Africa|America|Antarctica|Asia|Atlantic|Australia|Europe|Indian|Pacific|Etc)(\/[A-Za-z0-9_+\-]+)+$/i.test(name)) {
+    return { zone: name, label: "" };
   }
+  return null;
+}
+
+/**
+ * Zone used by a render context: token zone > template [TIMEZONE] > config.defaultTimeZone > script zone.
+ */
+function getTimeZone_(context) {
+  if (context && context.timeZone) return context.timeZone;
 
-  return "";
+  const configZone = context && context.config && context.config.defaultTimeZone;
+  const resolved = configZone ? resolveTimeZone_(configZone, context) : null;
+  return resolved ? resolved.zone : Session.getScriptTimeZone();
+}
 
+// True if a token, [TIMEZONE] section or defaultTimeZone setting chose a zone
+function hasTimeZoneSetting_(context) {
+  if (context && context.timeZone) return true;
+  const configZone = context && context.config && context.config.defaultTimeZone;
+  return Boolean(configZone && resolveTimeZone_(configZone, context));
 }
 
+function getTimeZoneLabel_(context) {
+  if (context && context.timeZoneLabel) return context.timeZoneLabel;
 
-function findTabRecursive_(tabsList, targetName) {
-  for (const tab of tabsList) {
-    if (tab.getTitle() === targetName) return tab;
-    const childTabs = tab.getChildTabs();
-    if (childTabs.length > 0) {
-      const found = findTabRecursive_(childTabs, targetName);
-      if (found) return found;
-    }
-  }
-  return null;
+  const configZone = !(context && context.timeZone) && context && context.config && context.config.defaultTimeZone;
+  const resolved = configZone ? resolveTimeZone_(configZone, context) : null;
+  if (resolved && resolved.label) return resolved.label;
+
+  return Utilities.formatDate(new Date(), getTimeZone_(context), "z");
+}
+
+/**
+ * Current wall-clock time in the context's zone, as a Date in the script zone.
+ * Day arithmetic (setDate, getDay) then works on the audience's calendar day.
+ */
+function getZonedNow_(context) {
+  const now = new Date();
+  const zone = getTimeZone_(context);
+  if (zone === Session.getScriptTimeZone()) return now;
+
+  const p = Utilities.formatDate(now, zone, "yyyy,MM,dd,HH,mm,ss").split(",").map(Number);
+  return new Date(p[0], p[1] - 1, p[2], p[3], p[4], p[5]);
 }
 
 // ==========================================
-// RESTORED HELPER FUNCTIONS
+// TEMPLATE INCLUDES
 // ==========================================
 
-function getFormattedText_(element) {
-  const textObj = element.editAsText();
-  const text = textObj.getText();
-  if (!text) return "";
+/**
+ * Parses an include directive paragraph.
+ * Example: [INCLUDE:Footer_Ops, doc: https://docs.google.com/document/d/<ID>/edit, Team=Ops]
+ * @param {string} text - Trimmed paragraph text
+ * @return {Object|null} { tabName, documentId, params } or null if the text is not a directive
+ */
+function parseIncludeDirective_(text) {
+  const match = text.match(INCLUDE_DIRECTIVE_REGEX);
+  if (!match) return null;
+
+  const parts = match[1].split(",").map(p => p.trim()).filter(p => p !== "");
+  const include = { tabName: parts.shift() || "", documentId: null, params: {} };
+
+  parts.forEach(part => {
+    const docMatch = part.match(/^doc\s*:\s*(.+)$/i);
+    if (docMatch) {
+      include.documentId = getIdFromUrl_(docMatch[1]) || docMatch[1];
+      return;
+    }
+    const eq = part.indexOf("=");
+    if (eq > 0) include.params[part.substring(0, eq).trim()] = part.substring(eq + 1).trim();
+  });
 
-  const indices = textObj.getTextAttributeIndices();
-  let html = "";
+  return include;
+}
 
-  for (let i = 0; i < indices.length; i++) {
-    const start = indices[i];
-    const end = (i + 1 < indices.length) ? indices[i + 1] : text.length;
-    let chunk = text.substring(start, end);
-
-    // Escape HTML special chars
-    chunk = chunk
-      .replace(/&/g, "&amp;")
-      .replace(/</g, "&lt;")
-      .replace(/>/g, "&gt;");
-
-    if (textObj.isBold(start)) chunk = "<b>" + chunk + "</b>";
-    if (textObj.isItalic(start)) chunk = "<i>" + chunk + "</i>";
-    if (textObj.isUnderline(start)) chunk = "<u>" + chunk + "</u>";
-
-    // Color
-    const color = textObj.getForegroundColor(start);
-    if (color && color !== "#000000") {
-      chunk = `<span style="color:${color}">${chunk}</span>`;
-    }
+/**
+ * Loads the elements of a partial tab.
+ * If the partial has a [BODY] section only that section is used, otherwise the whole tab.
+ * @param {Object} include - From parseIncludeDirective_
+ * @param {string} parentDocumentId - Document of the including template (default for the partial)
+ * @param {string[]} stack - Include keys of the current chain, used for cycle detection
+ * @return {Object} { documentId, key, elements }
+ * @throws {Error} If the tab is missing, the chain is circular or too deep
+ */
+function resolveInclude_(include, parentDocumentId, stack) {
+  const documentId = include.documentId || parentDocumentId;
+  const key = getIncludeKey_(documentId, include.tabName);
 
-    // Link
-    const url = textObj.getLinkUrl(start);
-    if (url) {
-      chunk = `<a href="${url}">${chunk}</a>`;
-    }
+  if (stack.includes(key)) {
+    throw new Error(`Circular include: ${stack.concat(key).map(k => k.split("#")[1]).join(" -> ")}`);
+  }
+  if (stack.length > MAX_INCLUDE_DEPTH) {
+    throw new Error(`Includes nested deeper than ${MAX_INCLUDE_DEPTH} levels at '${include.tabName}'`);
+  }
+
+  const tab = findTabRecursive_(openDocumentCached_(documentId).getTabs(), include.tabName);
+  if (!tab) throw new Error(`Partial tab '${include.tabName}' not found`);
+
+  const body = tab.asDocumentTab().getBody();
+  const all = [];
+  for (let i = 0; i < body.getNumChildren(); i++) all.push(body.getChild(i));
+
+  const bodyIndex = all.findIndex(el => el.getText().trim() === "[BODY]");
+  if (bodyIndex === -1) return { documentId, key, elements: all };
+
+  const elements = [];
+  for (let i = bodyIndex + 1; i < all.length; i++) {
+    if (getTemplateSectionKey_(all[i].getText().trim())) break;
+    elements.push(all[i]);
+  }
+  return { documentId, key, elements };
+}
 
-    html += chunk;
+/**
+ * Expands an include directive into HTML, recursively.
+ * Parameters fill {{Key}} placeholders of the partial; other tokens are left for applyDictionary_.
+ * On error the directive is dropped and the error logged (the rest of the email still renders).
+ * @return {string} HTML of the partial
+ */
+function expandInclude_(include, parentDocumentId, stack, context) {
+  try {
+    const partial = resolveInclude_(include, parentDocumentId, stack);
+    const childStack = stack.concat(partial.key);
+
+    const html = renderBodyElements_(partial.elements, partial.documentId, childStack, context);
+
+    // Same substitution as {{#EACH}} rows: HTML-escaped, formatting inside the braces ignored
+    return substituteRowVariables_(html, include.params);
+  } catch (e) {
+    Logger.log(`❌ Include Error: ${e.message}`);
+    reportRenderIssue_(context, { raw: `[INCLUDE:${include.tabName}]` }, e.message);
+    return "";
   }
-  return html;
 }
 
-function processTableHTML_(table) {
-  let html = '<table style="border-collapse: collapse; width: 100%; border: 1px solid #ccc;">';
-  const numRows = table.getNumRows();
+/**
+ * Converts body elements to HTML, expanding [INCLUDE:...] paragraphs in place.
+ * @param {Element[]} elements - Body elements of a template or partial
+ * @param {string} documentId - Document the elements belong to
+ * @param {string[]} stack - Include chain (see resolveInclude_)
+ * @param {Object} [context] - Render context (inline images)
+ * @return {string} HTML
+ */
+function renderBodyElements_(elements, documentId, stack, context) {
+  let html = "";
+  let run = [];
 
-  for (let r = 0; r < numRows; r++) {
-    const row = table.getRow(r);
-    html += "<tr>";
-    const numCells = row.getNumCells();
+  elements.forEach(element => {
+    const include = parseIncludeDirective_(element.getText().trim());
+    if (!include) {
+      run.push(element);
+      return;
+    }
+    html += convertElementsToHtml_(run, context) + expandInclude_(include, documentId, stack, context);
+    run = [];
+  });
 
-    for (let c = 0; c < numCells; c++) {
-      const cell = row.getCell(c);
-      let cellHtml = "";
+  return html + convertElementsToHtml_(run, context);
+}
 
-      // Process cell contents (paragraphs usually)
-      for (let k = 0; k < cell.getNumChildren(); k++) {
-        cellHtml += convertElementToHtml_(cell.getChild(k));
-      }
+function getIncludeKey_(documentId, tabName) {
+  return documentId + "#" + tabName;
+}
 
-      html += `<td style="border: 1px solid #ccc; padding: 8px;">${cellHtml}</td>`;
-    }
-    html += "</tr>";
+function openDocumentCached_(documentId) {
+  if (!_DOCUMENT_CACHE[documentId]) {
+    _DOCUMENT_CACHE[documentId] = DocumentApp.openById(documentId);
   }
+  return _DOCUMENT_CACHE[documentId];
+}
 
-  html += "</table>";
-  return html;
+function findTabRecursive_(tabsList, targetName) {
+  for (const tab of tabsList) {
+    if (tab.getTitle() === targetName) return tab;
+    const childTabs = tab.getChildTabs();
+    if (childTabs.length > 0) {
+      const found = findTabRecursive_(childTabs, targetName);
+      if (found) return found;
+    }
+  }
+  return null;
 }
 
+// ==========================================
+// RESTORED HELPER FUNCTIONS
+// ==========================================
+
 function getRoundedTime_(timeZone, label) {
   return Utilities.formatDate(new Date(), timeZone, "HH:mm") + (label ? " " + label : "");
 }
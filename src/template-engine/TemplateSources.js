@@ -0,0 +1,182 @@
+/*
+MODULE: TemplateSources
+---------------------------------------------------
+Where a template's text comes from. Every source
+returns the same paragraph list, so sections,
+tokens, blocks, tables and validation behave the
+same whatever the source:
+  doc       Google Doc tab (default: templateDocumentId)
+  markdown  Markdown file in Drive
+  html      HTML file in Drive
+Chosen per template with the templateSources setting:
+  templateSources: { Weekly_Digest: { type: "markdown", fileId: "<Drive file ID>" } }
+Teams add their own with registerTemplateSource().
+---------------------------------------------------
+*/
+
+/**
+ * Source loaders. Signature: (source, templateName) => template or null if not found
+ *   source:   { type, documentId, fileId, ... } from resolveTemplateSource_
+ *   template: { paragraphs: [{ text, item }], renderBody: (items, context) => html }
+ *     text is the trimmed plain text used to find [SECTION] markers and section values;
+ *     renderBody receives the items of the [BODY] paragraphs.
+ */
+const TEMPLATE_SOURCES = {
+  doc: loadDocTemplate_,
+  markdown: (source, templateName) => loadFileTemplate_(source, templateName, markdownToHtml_),
+  html: (source, templateName) => loadFileTemplate_(source, templateName, html => html)
+};
+
+// Cache of file template contents within a single execution (fileId -> text)
+let _TEMPLATE_FILE_CACHE = {};
+
+// ==========================================
+// PUBLIC FUNCTIONS
+// ==========================================
+/**
+ * Adds (or replaces) a template source usable in the templateSources setting.
+ * @param {string} type - Source type (case-insensitive)
+ * @param {Function} loader - (source, templateName) => { paragraphs, renderBody } or null (see TEMPLATE_SOURCES)
+ */
+function registerTemplateSource(type, loader) {
+  const key = String(type || "").trim().toLowerCase();
+  if (!/^[a-z_][a-z0-9_]*$/.test(key)) throw new Error(`Invalid template source type '${type}'`);
+  if (typeof loader !== "function") throw new Error(`Template source '${key}' must be a function`);
+  TEMPLATE_SOURCES[key] = loader;
+}
+
+/**
+ * Works out where a template is stored.
+ * @param {string} templateName - Template (tab) name
+ * @param {string} documentId - Template Doc; also used for [INCLUDE:...] partials of file templates
+ * @param {AppConfig} [config] - Reads the templateSources setting
+ * @return {Object} { type, documentId, fileId, ... }
+ */
+function resolveTemplateSource_(templateName, documentId, config) {
+  const sources = (config && config.templateSources) || {};
+  const setting = sources[templateName];
+  if (!setting) return { type: "doc", documentId: documentId };
+
+  const source = { documentId: documentId, ...setting };
+  source.type = String(source.type || inferTemplateSourceType_(source.fileId)).toLowerCase();
+  return source;
+}
+
+/**
+ * Loads a template from its source.
+ * @param {Object} source - From resolveTemplateSource_
+ * @param {string} templateName - Template (tab) name
+ * @return {Object|null} { paragraphs, renderBody } or null if the template does not exist
+ */
+function loadTemplateSource_(source, templateName) {
+  const loader = TEMPLATE_SOURCES[source.type];
+  if (!loader) throw new Error(`Unknown template source type '${source.type}' for '${templateName}'`);
+  return loader(source, templateName);
+}
+
+/**
+ * @param {Object} source - From resolveTemplateSource_
+ * @return {string} e.g. "doc 1AbC..." or "markdown file 1XyZ..." (for logs)
+ */
+function describeTemplateSource_(source) {
+  return source.type === "doc" ? `doc ${source.documentId}` : `${source.type} file ${source.fileId}`;
+}
+
+// ==========================================
+// SOURCES
+// ==========================================
+
+function loadDocTemplate_(source, templateName) {
+  if (!source.documentId) {
+    Logger.log("No document ID provided.");
+    return null;
+  }
+
+  const targetTab = findTabRecursive_(openDocumentCached_(source.documentId).getTabs(), templateName);
+  if (!targetTab) {
+    Logger.log("Template tab not found: " + templateName);
+    return null;
+  }
+
+  const body = targetTab.asDocumentTab().getBody();
+  const paragraphs = [];
+  for (let i = 0; i < body.getNumChildren(); i++) {
+    const child = body.getChild(i);
+    paragraphs.push({ text: child.getText().trim(), item: child });
+  }
+
+  return {
+    paragraphs: paragraphs,
+    // Lists span several elements, so the body is converted in one pass (includes expanded in place)
+    renderBody: (elements, context) =>
+      renderBodyElements_(elements, source.documentId, [getIncludeKey_(source.documentId, templateName)], context)
+  };
+}
+
+/**
+ * Markdown / HTML file: one paragraph per line. [SECTION] markers go on their own line
+ * (in HTML they may be wrapped in a tag, e.g. <p>[BODY]</p>). [INCLUDE:Tab] lines in the
+ * body expand Doc partials from the template document.
+ */
+function loadFileTemplate_(source, templateName, toHtml) {
+  const content = readTemplateFile_(source.fileId);
+  if (content === null) {
+    Logger.log(`Template file not found for '${templateName}': ${source.fileId}`);
+    return null;
+  }
+
+  const paragraphs = content.split("\n").map(line => ({
+    text: (source.type === "html" ? htmlToPlainText_(line) : line).trim(),
+    item: line
+  }));
+
+  return {
+    paragraphs: paragraphs,
+    renderBody: (lines, context) => {
+      let html = "";
+      let run = [];
+
+      lines.forEach(line => {
+        const include = parseIncludeDirective_(line.trim());
+        if (!include) {
+          run.push(line);
+          return;
+        }
+        html += toHtml(run.join("\n")) +
+          expandInclude_(include, source.documentId, [getIncludeKey_(source.fileId, templateName)], context);
+        run = [];
+      });
+
+      return html + toHtml(run.join("\n"));
+    }
+  };
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function readTemplateFile_(fileId) {
+  if (!fileId) return null;
+
+  if (!Object.prototype.hasOwnProperty.call(_TEMPLATE_FILE_CACHE, fileId)) {
+    try {
+      const text = DriveApp.getFileById(fileId).getBlob().getDataAsString("UTF-8");
+      _TEMPLATE_FILE_CACHE[fileId] = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+    } catch (e) {
+      Logger.log(`❌ Template file error: ${e.message}`);
+      _TEMPLATE_FILE_CACHE[fileId] = null;
+    }
+  }
+  return _TEMPLATE_FILE_CACHE[fileId];
+}
+
+// No type given: .html / .htm files are HTML, anything else Markdown
+function inferTemplateSourceType_(fileId) {
+  if (!fileId) return "doc";
+  try {
+    return /\.html?$/i.test(DriveApp.getFileById(fileId).getName()) ? "html" : "markdown";
+  } catch (e) {
+    return "markdown";
+  }
+}
@@ -20,66 +20,75 @@ function validateTemplate(templateName, documentId) {
   Log.info("TemplateValidator", `Validating template: "${templateName}"`);
 
   // Get document ID from config if not provided
+  const config = new AppConfig();
   if (!documentId) {
-    const config = new AppConfig();
     documentId = config.templateDocumentId;
   }
 
-  // 1. Check if document exists
+  // 1. Check if the template exists (Doc tab, or Markdown / HTML file from templateSources)
   try {
-    const doc = DocumentApp.openById(documentId);
-    if (!doc) {
-      errors.push(`Document not found: ${documentId}`);
-      return { valid: false, errors, warnings };
-    }
+    const source = resolveTemplateSource_(templateName, documentId, config);
+
+    if (source.type === "doc") {
+      const doc = DocumentApp.openById(documentId);
+      if (!doc) {
+        errors.push(`Document not found: ${documentId}`);
+        return { valid: false, errors, warnings };
+      }
+
+      // 2. Check if tab exists
+      const tabs = doc.getTabs();
+      const targetTab = findTabRecursive_(tabs, templateName);
 
-    // 2. Check if tab exists
-    const tabs = doc.getTabs();
-    const targetTab = findTabRecursive_(tabs, templateName);
+      if (!targetTab) {
+        errors.push(`Tab '${templateName}' not found in document`);
+        // List available tabs for helpful error
+        const availableTabs = getAllTabNames_(tabs);
+        errors.push(`Available tabs: ${availableTabs.join(", ") || "None found"}`);
+        return { valid: false, errors, warnings };
+      }
+    }
 
-    if (!targetTab) {
-      errors.push(`Tab '${templateName}' not found in document`);
-      // List available tabs for helpful error
-      const availableTabs = getAllTabNames_(tabs);
-      errors.push(`Available tabs: ${availableTabs.join(", ") || "None found"}`);
+    const template = loadTemplateSource_(source, templateName);
+    if (!template) {
+      errors.push(`Template file not found: ${describeTemplateSource_(source)}`);
       return { valid: false, errors, warnings };
     }
 
     // 3. Parse template content
-    const docTab = targetTab.asDocumentTab();
-    const bodyElement = docTab.getBody();
-    const numChildren = bodyElement.getNumChildren();
-
     let hasSubjectTag = false;
     let hasBodyTag = false;
     let subjectContent = "";
+    let preheaderContent = "";
     let bodyContent = "";
     let mode = "none";
 
     // Extract content sections
-    for (let i = 0; i < numChildren; i++) {
-      const child = bodyElement.getChild(i);
-      const text = child.getText().trim();
-
-      if (text === "[SUBJECT]") {
-        mode = "subject";
-        hasSubjectTag = true;
-        continue;
-      }
-      if (text === "[BODY]") {
-        mode = "body";
-        hasBodyTag = true;
+    for (const { text } of template.paragraphs) {
+      const section = getTemplateSectionKey_(text);
+      if (section) {
+        mode = section;
+        if (section === "subject") hasSubjectTag = true;
+        if (section === "body") hasBodyTag = true;
         continue;
       }
-      if (text === "[TO]") { mode = "to"; continue; }
-      if (text === "[CC]") { mode = "cc"; continue; }
 
       if (mode === "subject" && text !== "") {
         subjectContent += text + " ";
-        mode = "none";
+      }
+      else if (mode === "preheader" && text !== "") {
+        preheaderContent += text + " ";
       }
       else if (mode === "body") {
-        bodyContent += text + " ";
+        // Partials are checked recursively and their text validated as part of the body
+        const include = parseIncludeDirective_(text);
+        if (include) {
+          const partial = validateInclude_(include, documentId, [getIncludeKey_(documentId, templateName)]);
+          partial.errors.forEach(err => errors.push(`[INCLUDE:${include.tabName}] ${err}`));
+          bodyContent += partial.text;
+        } else {
+          bodyContent += text + "\n";
+        }
       }
       else if (mode === "to" && text !== "") {
         // Validate TO recipients
@@ -95,6 +104,47 @@ function validateTemplate(templateName, documentId) {
           errors.push(`[CC] section: ${ccErrors.join(", ")}`);
         }
       }
+      else if ((mode === "bcc" || mode === "replyTo") && text !== "") {
+        const section = mode === "bcc" ? "[BCC]" : "[REPLY_TO]";
+        const recipientErrors = validateRecipients_(text);
+        if (recipientErrors.length > 0) {
+          errors.push(`${section} section: ${recipientErrors.join(", ")}`);
+        }
+      }
+      else if (mode === "from" && text !== "") {
+        const senderIssues = validateSender_(text);
+        errors.push(...senderIssues.errors);
+        warnings.push(...senderIssues.warnings);
+        mode = "none";
+      }
+      else if (mode === "priority" && text !== "") {
+        const prefixes = new AppConfig().priorityPrefixes || {};
+        if (!text.includes("{{") && !Object.prototype.hasOwnProperty.call(prefixes, text.toUpperCase())) {
+          errors.push(`[PRIORITY] section: Unknown priority "${text}" (expected ${Object.keys(prefixes).join(", ")})`);
+        }
+        mode = "none";
+      }
+      else if (mode === "attachments" && text !== "") {
+        // Syntax only: files and exports are fetched at send time
+        try {
+          parseAttachmentSpec_(text);
+        } catch (e) {
+          errors.push(`[ATTACHMENTS] section: ${e.message} in "${text}"`);
+        }
+      }
+      else if (mode === "timeZone" && text !== "") {
+        // Must be an IANA zone (Europe/London) or a configured alias (BKK)
+        if (!resolveTimeZone_(text, { config: new AppConfig() })) {
+          errors.push(`[TIMEZONE] section: Unknown time zone "${text}"`);
+        }
+        mode = "none";
+      }
+      else if (mode === "tableMode" && text !== "") {
+        if (!isTableRenderMode_(text)) {
+          errors.push(`[TABLE_MODE] section: Unknown mode "${text}" (expected ${Object.keys(TABLE_RENDER_MODES).join(", ")})`);
+        }
+        mode = "none";
+      }
     }
 
     // 4. Check required tags
@@ -110,22 +160,30 @@ function validateTemplate(templateName, documentId) {
       errors.push("[SUBJECT] tag is present but empty");
     }
 
+    // Inbox clients show roughly the first PREHEADER_LENGTH characters
+    if (preheaderContent.trim().length > PREHEADER_LENGTH) {
+      warnings.push(`[PREHEADER] is longer than ${PREHEADER_LENGTH} characters - the end will not be shown in the inbox preview`);
+    }
+
     // 6. Validate body content
     if (hasBodyTag && !bodyContent.trim()) {
       warnings.push("[BODY] tag is present but appears to be empty");
     }
 
-    // 7. Check dictionary tags
-    const allContent = subjectContent + " " + bodyContent;
-    const dictErrors = validateDictionaryTags_(allContent);
-    errors.push(...dictErrors);
+    // 7. Check template syntax ({{tags}}, $LINK, [Table]) - positions are relative to the section
+    const allContent = subjectContent + " " + bodyContent.replace(/\n/g, " ");
+    [["[SUBJECT]", subjectContent], ["[PREHEADER]", preheaderContent], ["[BODY]", bodyContent]].forEach(([section, content]) => {
+      const syntax = validateTemplateSyntax_(content);
+      syntax.errors.forEach(err => errors.push(`${section} ${err}`));
+      syntax.warnings.forEach(warning => warnings.push(`${section} ${warning}`));
+    });
 
-    const dictWarnings = checkDeprecatedTags_(allContent);
-    warnings.push(...dictWarnings);
+    warnings.push(...checkDeprecatedTags_(allContent));
 
-    // 8. Check table tags
-    const tableErrors = validateTableTags_(bodyContent);
-    errors.push(...tableErrors);
+    // 8. Check conditional blocks ({{#IF}} / {{#ELSE}} / {{/IF}})
+    validateBlockTags_(subjectContent).forEach(err => errors.push(`[SUBJECT] ${err}`));
+    validateBlockTags_(preheaderContent).forEach(err => errors.push(`[PREHEADER] ${err}`));
+    validateBlockTags_(bodyContent).forEach(err => errors.push(`[BODY] ${err}`));
 
     // 9. Check for common mistakes
     const commonMistakes = checkCommonMistakes_(allContent);
@@ -149,75 +207,145 @@ function validateTemplate(templateName, documentId) {
 }
 
 /**
- * Validates dictionary tags in content
- * @param {string} content - Template content to check
- * @return {string[]} Array of error messages
+ * Validates the [FROM] section: address format, and whether Gmail can send as that address.
+ * @param {string} text - "Display Name <alias@domain.com>", an address or a display name
+ * @return {Object} { errors: string[], warnings: string[] }
  */
-function validateDictionaryTags_(content) {
+function validateSender_(text) {
   const errors = [];
-  const validCommands = [
-    "DATE", "RANGE", "TIME", "MONTHNAME",
-    "DATE_FORMAT", "GREETING", "ACTIVE_SPREADSHEET_LINK", "THIS_SHEET"
-  ];
-
-  // Find all {{...}} tags
-  const tagRegex = /\{\{([^}]+)\}\}/g;
-  let match;
-
-  while ((match = tagRegex.exec(content)) !== null) {
-    const fullTag = match[1].trim();
-    const parts = fullTag.split(":").map(p => p.trim());
-    const command = parts[0].toUpperCase();
-
-    // Clean command (remove HTML artifacts)
-    const cleanCommand = command.replace(/<[^>]+>/g, "").trim();
-
-    if (!validCommands.includes(cleanCommand)) {
-      // Check if it looks like a variable placeholder (e.g., {{SENDER_NAME}})
-      if (!/^[A-Z_]+$/.test(cleanCommand)) {
-        errors.push(`Unknown dictionary command: "${cleanCommand}" in tag "{{${fullTag}}}"`);
-      }
-    }
+  const warnings = [];
+  const sender = parseSenderAddress_(text);
+  if (!sender.email) return { errors, warnings };
 
-    // Check for malformed tags
-    if (fullTag.includes("{{") || fullTag.includes("}}")) {
-      errors.push(`Malformed tag (nested braces): "{{${fullTag}}}"`);
+  const formatErrors = validateRecipients_(sender.email);
+  if (formatErrors.length > 0) {
+    errors.push(`[FROM] section: ${formatErrors.join(", ")}`);
+    return { errors, warnings };
+  }
+
+  try {
+    if (!isAllowedSender_(sender.email)) {
+      warnings.push(`[FROM] section: "${sender.email}" is not a verified Gmail alias of this account; the default address will be used`);
     }
+  } catch (e) {
+    warnings.push(`[FROM] section: Could not check Gmail aliases (${e.message})`);
   }
 
+  return { errors, warnings };
+}
+
+/**
+ * Resolves an [INCLUDE:...] directive and its nested includes.
+ * @param {Object} include - From parseIncludeDirective_
+ * @param {string} documentId - Document of the including template
+ * @param {string[]} stack - Include chain (for cycle detection)
+ * @return {Object} { errors: string[], text: string } text is the flattened partial content
+ */
+function validateInclude_(include, documentId, stack) {
+  const errors = [];
+  let text = "";
+
+  try {
+    const partial = resolveInclude_(include, documentId, stack);
+    partial.elements.forEach(el => {
+      const elementText = el.getText().trim();
+      const nested = parseIncludeDirective_(elementText);
+      if (!nested) {
+        text += elementText + "\n";
+        return;
+      }
+      const result = validateInclude_(nested, partial.documentId, stack.concat(partial.key));
+      errors.push(...result.errors);
+      text += result.text;
+    });
+  } catch (e) {
+    errors.push(e.message);
+  }
+
+  return { errors, text };
+}
+
+/**
+ * Parses section content once and runs the syntax checks on the AST.
+ * Parser issues (unclosed or nested braces, malformed $LINK / [Table]) keep their severity.
+ * @param {string} content - Section text, one Doc paragraph per line
+ * @return {Object} { errors: string[], warnings: string[] }
+ */
+function validateTemplateSyntax_(content) {
+  const ast = parseTemplate_(content);
+  const errors = [];
+  const warnings = [];
+
+  ast.issues.forEach(issue => {
+    const message = `${issue.message} (${formatTemplatePosition_(issue.position)})`;
+    if (issue.severity === "error") errors.push(message);
+    else warnings.push(message);
+  });
+
+  errors.push(...validateDictionaryTags_(ast));
+  errors.push(...validateTableTags_(ast));
+
+  return { errors, warnings };
+}
+
+/**
+ * Validates dictionary tags
+ * @param {Object} ast - From parseTemplate_
+ * @return {string[]} Array of error messages
+ */
+function validateDictionaryTags_(ast) {
+  const errors = [];
+  const validCommands = DICTIONARY_COMMANDS;
+
+  // Block markers ({{#IF}}, {{/IF}}) are BlockMarker nodes, checked by validateBlockTags_
+  findTemplateNodes_(ast.nodes, "Token").forEach(token => {
+    const location = formatTemplatePosition_(token.position);
+
+    // Filters must be built in or registered with registerTemplateFilter()
+    token.filters.filter(f => !isTemplateFilter_(f.name)).forEach(f => {
+      errors.push(`Unknown filter: "${f.name}" in tag "{{${token.content}}}" (${location})`);
+    });
+
+    if (/^[#\/]/.test(token.command) || validCommands.includes(token.command)) return;
+
+    // Check if it looks like a variable placeholder (e.g., {{SENDER_NAME}}, {{Due Date}})
+    if (!/^[A-Z_][A-Z0-9_ ]*$/.test(token.command)) {
+      errors.push(`Unknown dictionary command: "${token.command}" in tag "{{${token.content}}}" (${location})`);
+    }
+  });
+
   return errors;
 }
 
 /**
  * Validates table tags and their ranges
- * @param {string} content - Body content to check
+ * @param {Object} ast - From parseTemplate_
  * @return {string[]} Array of error messages
  */
-function validateTableTags_(content) {
+function validateTableTags_(ast) {
   const errors = [];
 
-  // Find all [Table] tags
-  const tableRegex = /\[Table\]\s*Sheet:\s*([^,]+),\s*range:\s*([^\$]+?)(?:\$|<\/p>|\n|$)/gi;
-  let match;
-
-  while ((match = tableRegex.exec(content)) !== null) {
-    const sheetRef = match[1].trim();
-    const rangeRef = match[2].trim();
+  findTemplateNodes_(ast.nodes, "Table").forEach(table => {
+    const sheetRef = healTemplateText_(table.sheet);
+    const location = formatTemplatePosition_(table.position);
 
     // Check if sheet reference looks like a URL or ID
     if (!sheetRef.match(/[-\w]{25,}/) && !sheetRef.match(/^https?:\/\//)) {
-      errors.push(`Table tag: Invalid sheet reference "${sheetRef}"`);
+      errors.push(`Table tag: Invalid sheet reference "${sheetRef}" (${location})`);
     }
 
     // Validate A1 notation (basic check)
     // Pattern: SheetName!A1:B10 or 'Sheet Name'!A1:B10
     const rangePattern = /^['"]?[^!'"]+['"]?![A-Z]+\d+:[A-Z]+\d+$/;
-    const cleanRange = rangeRef.replace(/<[^>]+>/g, "").trim();
+    const cleanRange = healTemplateText_(table.range);
 
     if (!rangePattern.test(cleanRange)) {
-      errors.push(`Table tag: Invalid range "${cleanRange}". Expected format: 'Sheet'!A1:D10`);
+      errors.push(`Table tag: Invalid range "${cleanRange}". Expected format: 'Sheet'!A1:D10 (${location})`);
     }
-  }
+
+    // Options (highlight rules, where: conditions, limit) - columns are checked when the table renders
+    parseTableOptions_(table.options, null, message => errors.push(`Table tag: ${message} (${location})`));
+  });
 
   return errors;
 }
@@ -264,10 +392,6 @@ function checkDeprecatedTags_(content) {
     warnings.push("Found single-brace {DATE:...} - did you mean {{DATE:...}}?");
   }
 
-  if (content.includes("$LINK") && !content.match(/\$LINK:[^,]+,\s*TEXT:/)) {
-    warnings.push("$LINK tag found but may be malformed. Expected format: $LINK:Key, TEXT:Label$");
-  }
-
   return warnings;
 }
 
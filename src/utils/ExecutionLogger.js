@@ -73,6 +73,8 @@ function endExecutionContext() {
  * @param {string} [details.recipientsTo] - TO recipients
  * @param {number} [details.duration] - Execution duration in ms
  * @param {Object} [details.metrics] - Execution metrics { apiCalls, operations }
+ * @param {Object[]} [details.renderReport] - Tokens, links and tables that failed to render { token, location, reason }
+ * @param {string} [details.templateHash] - Hash of the template used (see diffTemplateSnapshot)
  */
 function logExecution(status, templateName, details = {}) {
   try {
@@ -113,7 +115,9 @@ function logExecution(status, templateName, details = {}) {
       apiCalls: apiCalls,
       recipients: recipients,
       error: error,
-      operations: details.metrics ? details.metrics.operations : []
+      operations: details.metrics ? details.metrics.operations : [],
+      renderReport: details.renderReport || [],
+      templateHash: details.templateHash || ""
     });
     
     const row = [
@@ -396,7 +400,7 @@ function showExecutionStatsDialog() {
     message += `⚡ Average Duration: ${stats.averageDuration}ms\n`;
     message += `📡 Total API Calls: ${stats.totalApiCalls}\n\n`;
     message += `📋 Templates Used: ${stats.templatesUsed.length}\n`;
-    message += stats.templatesUsed.slice(0, 10).map(t => `  - ${t}`).join("\n`);
+    message += stats.templatesUsed.slice(0, 10).map(t => `  - ${t}`).join("\n");
     
     if (Object.keys(stats.topErrors).length > 0) {
       message += `\n\n⚠️ Top Errors:\n`;
@@ -78,7 +78,8 @@ function logExecution(status, templateName, details = {}) {
         "Recipients",
         "Duration (ms)",
         "Mode",
-        "Details/Error"
+        "Details/Error",
+        "Template Hash"
       ]);
       sheet.setFrozenRows(1);
       Log.info("LoggerUtil", `Created new log sheet: ${tabName}`);
@@ -97,7 +98,8 @@ function logExecution(status, templateName, details = {}) {
       details.recipientsTo || "",
       details.duration || 0,
       mode,
-      details.error || JSON.stringify(details)
+      details.error || JSON.stringify(details),
+      details.templateHash || ""
     ]);
 
   } catch (e) {
@@ -0,0 +1,204 @@
+/*
+MODULE: TemplateSnapshots
+--------------------------------
+Change tracking for templates. Every run records the
+hash of the template's unrendered sections; when the
+hash changes, the text is stored as a new snapshot row
+of the snapshotSheetId spreadsheet (off when not set):
+  Timestamp | Template | Hash | Source | Content
+The hash is also written to the execution log, so a
+run can be compared with the current template:
+  diffTemplateSnapshot("Daily_Report", "3f9a1c...")
+--------------------------------
+*/
+
+// Google Sheets cell limit; longer snapshots are cut (and their diff is partial)
+const SNAPSHOT_MAX_CHARS = 50000;
+
+// ==========================================
+// PUBLIC FUNCTIONS
+// ==========================================
+/**
+ * Compares the current template with the snapshot used on an earlier run.
+ * @param {string} templateName - Template (tab) name
+ * @param {string|Date} run - Template hash from the execution log (or its first 7+ characters),
+ *   or the run's date/time (the snapshot in use at that time is taken)
+ * @param {Object} [userOverrides] - Config overrides (e.g. { templateDocumentId: "..." })
+ * @return {Object|null} { changed, snapshotHash, snapshotDate, currentHash, diff: string[] } or null if no snapshot was found.
+ *   diff lines start with "+ " (added since the run), "- " (removed) or "  " (unchanged).
+ */
+function diffTemplateSnapshot(templateName, run, userOverrides = {}) {
+  const config = new AppConfig(userOverrides);
+
+  const snapshot = getTemplateSnapshot_(templateName, run, config);
+  if (!snapshot) {
+    Log.warn("TemplateSnapshots", `No snapshot of "${templateName}" found for ${run}`);
+    return null;
+  }
+
+  const current = readTemplateSections_(templateName, config.templateDocumentId, config);
+  if (!current) {
+    Log.error("TemplateSnapshots", `Template '${templateName}' not found`);
+    return null;
+  }
+
+  const changed = snapshot.hash !== current.contentHash;
+  const diff = diffTextLines_(snapshot.content, current.rawContent);
+
+  if (changed) {
+    Log.info("TemplateSnapshots", `"${templateName}" changed since ${snapshot.timestamp}:\n` +
+      diff.filter(line => line.charAt(0) !== " ").join("\n"));
+  } else {
+    Log.info("TemplateSnapshots", `"${templateName}" is unchanged since ${snapshot.timestamp}`);
+  }
+
+  return {
+    changed: changed,
+    snapshotHash: snapshot.hash,
+    snapshotDate: snapshot.timestamp,
+    currentHash: current.contentHash,
+    diff: diff
+  };
+}
+
+/**
+ * Stores a snapshot of the template if its hash differs from the last one recorded.
+ * Does nothing without snapshotSheetId; failures are logged and never stop the run.
+ * @param {string} templateName - Template (tab) name
+ * @param {Object} template - From fetchTemplate (contentHash, rawContent)
+ * @param {AppConfig} config
+ * @return {boolean} True if a new snapshot was stored
+ */
+function recordTemplateSnapshot_(templateName, template, config) {
+  if (!config.snapshotSheetId) return false;
+
+  try {
+    const sheet = getSnapshotSheet_(config, true);
+    const snapshots = readSnapshots_(sheet, false).filter(s => s.templateName === templateName);
+    const last = snapshots[snapshots.length - 1];
+    if (last && last.hash === template.contentHash) return false;
+
+    if (template.rawContent.length > SNAPSHOT_MAX_CHARS) {
+      Log.warn("TemplateSnapshots", `Snapshot of "${templateName}" cut to ${SNAPSHOT_MAX_CHARS} characters`);
+    }
+
+    const source = describeTemplateSource_(resolveTemplateSource_(templateName, config.templateDocumentId, config));
+    sheet.appendRow([new Date(), templateName, template.contentHash, source, template.rawContent.substring(0, SNAPSHOT_MAX_CHARS)]);
+
+    Log.info("TemplateSnapshots", last
+      ? `Template "${templateName}" changed: ${last.hash.substring(0, 12)} -> ${template.contentHash.substring(0, 12)}`
+      : `First snapshot of "${templateName}": ${template.contentHash.substring(0, 12)}`);
+    return true;
+
+  } catch (e) {
+    Log.warn("TemplateSnapshots", `Failed to record snapshot: ${e.message}`);
+    return false;
+  }
+}
+
+/**
+ * Finds a stored snapshot by hash (or hash prefix), or the one in use at a given time.
+ * @param {string} templateName
+ * @param {string|Date} run - Hash or date (see diffTemplateSnapshot)
+ * @param {AppConfig} config
+ * @return {Object|null} { row, timestamp, templateName, hash, source, content }
+ */
+function getTemplateSnapshot_(templateName, run, config) {
+  if (!config.snapshotSheetId) {
+    Log.warn("TemplateSnapshots", "snapshotSheetId is not set, no snapshots are recorded");
+    return null;
+  }
+  const sheet = getSnapshotSheet_(config, false);
+  if (!sheet) return null;
+
+  const snapshots = readSnapshots_(sheet, true).filter(s => s.templateName === templateName);
+  const snapshot = findSnapshot_(snapshots, run);
+  return snapshot ? readSnapshotContent_(sheet, snapshot) : null;
+}
+
+// ==========================================
+// PRIVATE HELPERS
+// ==========================================
+
+function getSnapshotSheet_(config, create) {
+  const spreadsheet = SpreadsheetApp.openById(config.snapshotSheetId);
+  let sheet = spreadsheet.getSheetByName(config.snapshotsTabName);
+
+  if (!sheet && create) {
+    sheet = spreadsheet.insertSheet(config.snapshotsTabName);
+    sheet.appendRow(["Timestamp", "Template", "Hash", "Source", "Content"]);
+    sheet.getRange(1, 1, 1, 5).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+    Log.info("TemplateSnapshots", `Created snapshot sheet: ${config.snapshotsTabName}`);
+  }
+  return sheet;
+}
+
+// Template and hash of every snapshot (plus the timestamp for lookups), without the stored text:
+// [{ row, timestamp, templateName, hash }]
+function readSnapshots_(sheet, withTimestamps) {
+  const count = sheet.getLastRow() - 1;
+  if (count <= 0) return [];
+
+  const firstColumn = withTimestamps ? 1 : 2;
+  return sheet.getRange(2, firstColumn, count, 4 - firstColumn).getValues().map((row, i) => {
+    const cells = withTimestamps ? row : [null].concat(row);
+    return { row: i + 2, timestamp: cells[0], templateName: String(cells[1]), hash: String(cells[2]) };
+  });
+}
+
+// Source and content cells of one snapshot row
+function readSnapshotContent_(sheet, snapshot) {
+  const cells = sheet.getRange(snapshot.row, 4, 1, 2).getValues()[0];
+  return { ...snapshot, source: String(cells[0]), content: String(cells[1]) };
+}
+
+// Snapshots are in time order; a date selects the last one recorded at or before it
+function findSnapshot_(snapshots, run) {
+  if (run instanceof Date || !/^[0-9a-f]{7,64}$/i.test(String(run))) {
+    const time = new Date(run).getTime();
+    if (isNaN(time)) return null;
+    const earlier = snapshots.filter(s => new Date(s.timestamp).getTime() <= time);
+    return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+  }
+
+  const prefix = String(run).toLowerCase();
+  const matches = snapshots.filter(s => s.hash.indexOf(prefix) === 0);
+  return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Line diff (longest common subsequence).
+ * @return {string[]} "  line" unchanged, "- line" only in before, "+ line" only in after
+ */
+function diffTextLines_(before, after) {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = a.map(() => new Array(b.length + 1).fill(0));
+  lengths.push(new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      diff.push("  " + a[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      diff.push("- " + a[i++]);
+    } else {
+      diff.push("+ " + b[j++]);
+    }
+  }
+  while (i < a.length) diff.push("- " + a[i++]);
+  while (j < b.length) diff.push("+ " + b[j++]);
+  return diff;
+}
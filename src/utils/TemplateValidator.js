@@ -23,7 +23,7 @@ function validateTemplate(templateName, docId) {
     let template = null;
     try {
         // We use the existing fetchTemplate logic but we need to ensure it doesn't throw
-        template = fetchTemplate(templateName, targetDocId);
+        template = fetchTemplate(templateName, targetDocId, { config: config });
         if (!template) {
             errors.push(`Template tab '${templateName}' not found in Doc ID: ${targetDocId}`);
             return { valid: false, errors, warnings };
@@ -39,29 +39,12 @@ function validateTemplate(templateName, docId) {
     if (!template.to && !template.cc) warnings.push("No [TO] or [CC] recipients defined.");
 
     // 3. Syntax Checks
-
-    // Check for malformed tags (e.g., {{DATE:Today)
-    const openBraces = (template.body.match(/\{\{/g) || []).length;
-    const closeBraces = (template.body.match(/\}\}/g) || []).length;
-    if (openBraces !== closeBraces) {
-        warnings.push(`Mismatch in dictionary tags: ${openBraces} opening '{{' vs ${closeBraces} closing '}}'. Check for typo.`);
-    }
-
-    // Check for broken Table tags
-    const tableTags = template.body.match(/\[Table\].*?(?=<\/p>|$)/gi) || [];
-    tableTags.forEach(tag => {
-        if (!tag.includes("Sheet:") || !tag.includes("range:")) {
-            errors.push(`Clientside Error: Malformed [Table] tag found: "${tag.substring(0, 50)}..."`);
-        }
-    });
-
-    // Check for potentially broken Link tags
-    const linkTags = template.body.match(/\$LINK:.*?\$/g) || [];
-    // (LinkRepository has its own healer, but let's check basic structure)
-    linkTags.forEach(tag => {
-        if (!tag.includes("TEXT:")) {
-            warnings.push(`Link tag might be missing TEXT label: "${tag.substring(0, 50)}..."`);
-        }
+    // The parser reports unclosed/nested braces, malformed $LINK tags and [Table] tags
+    // that survived rendering, with their position in the rendered body
+    parseTemplate_(template.body).issues.forEach(issue => {
+        const message = `${issue.message} (${formatTemplatePosition_(issue.position)})`;
+        if (issue.severity === "error") errors.push(message);
+        else warnings.push(message);
     });
 
     return {
@@ -21,9 +21,31 @@ function testRunner() {
   // Run all test suites
   runTestSuite("parseDateToken_", testParseDateToken, results);
   runTestSuite("applyDictionary_", testApplyDictionary, results);
+  runTestSuite("template filters", testTemplateFilters, results);
+  runTestSuite("render report", testRenderReport, results);
+  runTestSuite("variables tab", testVariablesTab, results);
+  runTestSuite("table highlights", testTableHighlights, results);
+  runTestSuite("table selection", testTableSelection, results);
+  runTestSuite("table render modes", testTableRenderModes, results);
+  runTestSuite("table performance", testTablePerformance, results);
+  runTestSuite("table cell content", testTableCellContent, results);
+  runTestSuite("business days", testBusinessDays, results);
+  runTestSuite("fiscal & ISO calendar", testFiscalCalendar, results);
+  runTestSuite("time zones", testTimeZones, results);
   runTestSuite("parseRecipientKeys", testParseRecipientKeys, results);
+  runTestSuite("sender & draft options", testDraftOptions, results);
+  runTestSuite("parseAttachmentSpec_", testAttachmentSpecs, results);
   runTestSuite("fixMissingQuotes_", testFixMissingQuotes, results);
+  runTestSuite("parseSheetReference_", testParseSheetReference, results);
+  runTestSuite("template includes", testTemplateIncludes, results);
+  runTestSuite("subject & preheader", testSubjectAndPreheader, results);
+  runTestSuite("template sources", testTemplateSources, results);
+  runTestSuite("template snapshots", testTemplateSnapshots, results);
+  runTestSuite("parseTemplate_", testTemplateParser, results);
+  runTestSuite("escape syntax", testEscapeSyntax, results);
   runTestSuite("htmlToPlainText_", testHtmlToPlainText, results);
+  runTestSuite("convertElementsToHtml_", testDocHtmlConverter, results);
+  runTestSuite("applyTemplateBlocks_", testTemplateBlocks, results);
 
   // Report results
   console.log("\n" + "=".repeat(50));
@@ -149,6 +171,112 @@ function testParseDateToken(results) {
   // Let's remove the test for "last week" to avoid false failure if feature was removed/replaced.
 }
 
+/**
+ * Tests for business-day arithmetic and tokens
+ */
+function testBusinessDays(results) {
+  const calendar = { weekendDays: [0, 6], holidays: { "2026-03-09": "Bank Holiday" } };
+
+  // Friday 6 Mar 2026 + 1 business day skips the weekend and Monday's holiday
+  const result1 = addBusinessDays_(new Date(2026, 2, 6), 1, calendar);
+  assert("Friday +1bd skips weekend and holiday", toCalendarKey_(result1), "2026-03-10", results);
+
+  // Tuesday 10 Mar 2026 - 1 business day goes back to Friday
+  const result2 = addBusinessDays_(new Date(2026, 2, 10), -1, calendar);
+  assert("Tuesday -1bd skips holiday and weekend", toCalendarKey_(result2), "2026-03-06", results);
+
+  assert("Holiday is not a business day", isBusinessDay_(new Date(2026, 2, 9), calendar), false, results);
+  assert("Saturday is not a business day", isBusinessDay_(new Date(2026, 2, 7), calendar), false, results);
+
+  // Last business day of May 2026 (31st is a Sunday)
+  const result3 = rollToBusinessDay_(new Date(2026, 4, 31), -1, calendar);
+  assert("Roll back to Friday", toCalendarKey_(result3), "2026-05-29", results);
+
+  // Tokens (weekend-only calendar without config)
+  const result4 = parseDateToken_("Today+3bd");
+  assert("Today+3bd is a weekday", [1, 2, 3, 4, 5].includes(result4.getDay()), true, results);
+
+  const result5 = parseDateToken_("PrevBusinessDay");
+  assert("PrevBusinessDay is in the past", result5 < new Date(), true, results);
+
+  const result6 = parseDateToken_("Last Business Day Of Month");
+  assert("Last business day is a weekday", [1, 2, 3, 4, 5].includes(result6.getDay()), true, results);
+  assert("Last business day is this month", result6.getMonth(), new Date().getMonth(), results);
+
+  const result7 = parseDateToken_("monthend");
+  const nextDay = new Date(result7.getTime());
+  nextDay.setDate(nextDay.getDate() + 1);
+  assert("monthend is the last day of the month", nextDay.getDate(), 1, results);
+}
+
+/**
+ * Tests for fiscal, quarter and week-number helpers
+ */
+function testFiscalCalendar(results) {
+  const julyStart = { config: { fiscalYearStartMonth: 7 } };
+
+  // Fiscal year starting in July
+  assert("Jul 2025 is FQ1", getFiscalPeriod_(new Date(2025, 6, 1), julyStart).quarter, 1, results);
+  assert("Jul 2025 is FY2026", getFiscalPeriod_(new Date(2025, 6, 1), julyStart).year, 2026, results);
+  assert("Jun 2026 is FQ4", getFiscalPeriod_(new Date(2026, 5, 30), julyStart).quarter, 4, results);
+  assert("Jun 2026 is FY2026", getFiscalPeriod_(new Date(2026, 5, 30), julyStart).year, 2026, results);
+
+  // Default: fiscal year = calendar year
+  assert("Default fiscal year", getFiscalPeriod_(new Date(2026, 10, 15)).year, 2026, results);
+  assert("Default fiscal quarter", getFiscalPeriod_(new Date(2026, 10, 15)).quarter, 4, results);
+
+  // ISO weeks
+  assert("ISO week of Thu 1 Jan 2026", getIsoWeek_(new Date(2026, 0, 1)), 1, results);
+  assert("ISO week of Fri 1 Jan 2027", getIsoWeek_(new Date(2027, 0, 1)), 53, results);
+  assert("ISO week of Mon 14 Sep 2026", getIsoWeek_(new Date(2026, 8, 14)), 38, results);
+
+  // WEEKNUM (Sunday start)
+  assert("WEEKNUM of Sat 3 Jan 2026", getWeekNumber_(new Date(2026, 0, 3)), 1, results);
+  assert("WEEKNUM of Sun 4 Jan 2026", getWeekNumber_(new Date(2026, 0, 4)), 2, results);
+
+  // Tokens
+  assert("QUARTER token", /^Q[1-4]$/.test(applyDictionary_("{{QUARTER}}")), true, results);
+  assert("FISCAL_YEAR token", /^FY\d{2}$/.test(applyDictionary_("{{FISCAL_YEAR}}", julyStart)), true, results);
+  assert("quarterstart anchor", parseDateToken_("quarterstart").getMonth() % 3, 0, results);
+  assert("quarterend anchor", parseDateToken_("quarterend").getMonth() % 3, 2, results);
+  assert("yearstart anchor", parseDateToken_("yearstart").getMonth(), 0, results);
+}
+
+/**
+ * Tests for time zone resolution and zoned tokens
+ */
+function testTimeZones(results) {
+  const withAlias = { config: { timeZoneAliases: { SYD: { zone: "Australia/Sydney", label: "AEST" } } } };
+
+  // Zone resolution
+  assert("Built-in alias BKK", resolveTimeZone_("BKK").zone, "Asia/Bangkok", results);
+  assert("Alias is case-insensitive", resolveTimeZone_("mnl").zone, "Asia/Manila", results);
+  assert("IANA zone name", resolveTimeZone_("Europe/London").zone, "Europe/London", results);
+  assert("Configured alias", resolveTimeZone_("SYD", withAlias).label, "AEST", results);
+  assert("Date token is not a zone", resolveTimeZone_("Today-7"), null, results);
+  assert("Date format is not a zone", resolveTimeZone_("dd/MM/yyyy"), null, results);
+
+  // Precedence: token zone > template zone > config default
+  assert("Template zone wins over config", getTimeZone_({ timeZone: "Asia/Manila", config: { defaultTimeZone: "LON" } }), "Asia/Manila", results);
+  assert("Config default alias", getTimeZone_({ config: { defaultTimeZone: "LON" } }), "Europe/London", results);
+
+  // Default config: dates and greetings follow the script zone, only {{TIME}} stays in MYT
+  const defaults = createRenderContext_("Test", new AppConfig(), {});
+  assert("Default zone is the script zone", getTimeZone_(defaults), Session.getScriptTimeZone(), results);
+  assert("DATE follows the script zone", applyDictionary_("{{DATE:Today}}", defaults), Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "dd-MMM-yyyy"), results);
+  const hour = new Date().getHours();
+  assert("GREETING follows the script zone", applyDictionary_("{{GREETING}}", defaults), hour < 12 ? "Good Morning" : hour < 17 ? "Good Afternoon" : "Good Evening", results);
+  assert("TIME keeps MYT", applyDictionary_("{{TIME}}", defaults), Utilities.formatDate(new Date(), "Asia/Kuala_Lumpur", "HH:mm") + " MYT", results);
+  assert("TIME follows a configured zone", applyDictionary_("{{TIME}}", createRenderContext_("Test", new AppConfig({ defaultTimeZone: "LON" }), {})).endsWith(" UK"), true, results);
+
+  // Tokens
+  assert("TIME with IANA zone", /^\d{2}:\d{2}/.test(applyDictionary_("{{TIME:Europe/London}}")), true, results);
+  assert("TIME with configured alias", applyDictionary_("{{TIME:SYD}}", withAlias).endsWith("AEST"), true, results);
+  assert("DATE with trailing zone", /^\d{2}-[A-Za-z]{3}-\d{4}$/.test(applyDictionary_("{{DATE:Today:America/New_York}}")), true, results);
+  assert("DATE_FORMAT keeps HH:mm", /^\d{2}:\d{2}$/.test(applyDictionary_("{{DATE_FORMAT:Today:HH:mm}}")), true, results);
+  assert("GREETING with zone", ["Good Morning", "Good Afternoon", "Good Evening"].includes(applyDictionary_("{{GREETING:Asia/Manila}}")), true, results);
+}
+
 /**
  * Tests for applyDictionary_ function
  */
@@ -196,6 +324,382 @@ function testApplyDictionary(results) {
   // No tags
   const result11 = applyDictionary_("Plain text without tags");
   assert("Plain text unchanged", result11, "Plain text without tags", results);
+
+  // Caller variables
+  const context = createRenderContext_("Test", null, { REGION: "APAC", Count: 3 }, () => ({ REGION: "EMEA", Owner: "Ops" }));
+  const result12 = applyDictionary_("{{REGION}} / {{Owner}} / {{count}}", context);
+  assert("Variables resolved with precedence", result12, "APAC / Ops / 3", results);
+
+  // Unresolved variables are reported and left in place
+  const result13 = applyDictionary_("Hi {{FirstName}} {{FirstName}}", context);
+  assert("Unresolved variable left as-is", result13, "Hi {{FirstName}} {{FirstName}}", results);
+  assert("Unresolved variable reported once", context.unresolved, ["FirstName"], results);
+
+  // Built-in commands are reserved
+  const reserved = createRenderContext_("Test", null, { DATE: "x" });
+  assert("Reserved variable names ignored", Object.keys(reserved.variables).length, 0, results);
+}
+
+/**
+ * Tests for pipe filters ({{VAR | upper | currency:USD}})
+ */
+function testTemplateFilters(results) {
+  const context = createRenderContext_("Test", null, { Revenue: 1234.5, Ratio: 0.125, Region: "south east asia", Empty: "" });
+  const render = (text) => applyDictionary_(text, context);
+
+  // Parsing
+  const token = parseTemplate_("{{CELL:ID, 'A|B'!B2 | truncate:10, \"...\" | upper}}").nodes[0];
+  assert("Expression before first pipe", token.expression, "CELL:ID, 'A|B'!B2", results);
+  assert("Filter names and args", token.filters, [{ name: "truncate", args: ["10", "..."] }, { name: "upper", args: [] }], results);
+
+  // Built-in filters
+  assert("upper", render("{{Region | upper}}"), "SOUTH EAST ASIA", results);
+  assert("title", render("{{Region | title}}"), "South East Asia", results);
+  assert("number", render("{{Revenue | number:2}}"), "1,234.50", results);
+  assert("percent", render("{{Ratio | percent:1}}"), "12.5%", results);
+  assert("currency", render("{{Revenue | currency:EUR}}"), "€1,234.50", results);
+  assert("round", render("{{Revenue | round}}"), "1235", results);
+  assert("truncate", render("{{Region | truncate:5}}"), "south…", results);
+  assert("escape", render("{{Tag | escape}}"), "{{Tag | escape}}", results);
+  assert("Chained filters", render("{{Region | truncate:5, | upper}}"), "SOUTH", results);
+  assert("Sheet display value parsed", TEMPLATE_FILTERS.currency("-$1,200", ["USD", "0"]), "-$1,200", results);
+  assert("Date filter on DATE token", /^[A-Z][a-z]+day$/.test(render("{{DATE:Today | date:EEEE}}")), true, results);
+
+  // default
+  assert("default for empty value", render("{{Empty | default:n/a}}"), "n/a", results);
+  assert("default for unresolved variable", render("{{Missing | default:\"Not set\"}}"), "Not set", results);
+  assert("Defaulted variable not reported", context.unresolved.includes("Missing"), false, results);
+
+  // Custom filters
+  registerTemplateFilter("shout", (value, args) => String(value) + (args[0] || "!"));
+  assert("Registered filter", render("{{Region | upper | shout:!!}}"), "SOUTH EAST ASIA!!", results);
+  assert("Unknown filter skipped", render("{{Region | nope}}"), "south east asia", results);
+  assert("Validator flags unknown filter", validateDictionaryTags_(parseTemplate_("{{Region | nope}}"))[0].indexOf('Unknown filter: "nope"'), 0, results);
+  assert("Filters apply to EACH row values", substituteRowVariables_("{{Owner | upper}}", { Owner: "ops" }), "OPS", results);
+
+  // Values are HTML-escaped in the body, like {{#EACH}} rows and table cells
+  const htmlContext = createRenderContext_("Test", null, { Note: "<5 & \"ok\"", Snippet: "<b>Hi</b>" });
+  assert("Body value escaped", applyDictionary_("{{Note}}", htmlContext), "&lt;5 &amp; &quot;ok&quot;", results);
+  assert("Same as EACH rows", substituteRowVariables_("{{Note}}", { Note: "<5 & \"ok\"" }), applyDictionary_("{{Note}}", htmlContext), results);
+  assert("raw opts out in EACH rows", substituteRowVariables_("{{Snippet | raw}}", { Snippet: "<b>Hi</b>" }), "<b>Hi</b>", results);
+  assert("escape not applied twice in EACH rows", substituteRowVariables_("{{Note | escape}}", { Note: "<5" }), "&lt;5", results);
+  assert("raw opts out", applyDictionary_("{{Snippet | raw}}", htmlContext), "<b>Hi</b>", results);
+  assert("escape not applied twice", applyDictionary_("{{Note | escape}}", htmlContext), "&lt;5 &amp; &quot;ok&quot;", results);
+  assert("Plain-text sections unescaped", applyDictionary_("{{Note}}", { ...htmlContext, plainText: true }), "<5 & \"ok\"", results);
+  assert("Engine HTML inserted as is", applyDictionary_("{{Logo}}", createRenderContext_("Test", null, { Logo: createHtmlValue_("<img src=\"cid:x\">") })), "<img src=\"cid:x\">", results);
+}
+
+/**
+ * Tests for the render report (strict mode input)
+ */
+function testRenderReport(results) {
+  const context = { ...createRenderContext_("Test", null, { Owner: "Ops" }), section: "BODY" };
+
+  applyDictionary_("<p>Intro</p><p>Hi {{Owner}} and {{<b>Team</b>}}</p>", context);
+  assert("Unresolved token reported", context.renderReport[0], {
+    token: "{{Team}}", location: "[BODY] paragraph 2, character 18", reason: "Unresolved variable 'Team'"
+  }, results);
+
+  applyDictionary_("{{Owner | shout2}}", context);
+  assert("Unknown filter reported", context.renderReport[1].reason, "Unknown filter 'shout2'", results);
+
+  injectManagedLinks("$LINK:Nope, TEXT:Docs$", {}, context);
+  assert("Missing link key reported", context.renderReport[2].reason, "Missing link key 'Nope'", results);
+
+  processTables("<p>[Table] Sheet: none, range: A1:B2</p>", context);
+  assert("Failed table reported", context.renderReport[3].reason, "Invalid sheet link", results);
+
+  applyTemplateBlocks_("{{#IF Owner}}open", context);
+  assert("Unbalanced block reported", context.renderReport[4].reason.indexOf("Unclosed block"), 0, results);
+
+  assert("Report summary", formatRenderReport_([context.renderReport[2]]), "$LINK:Nope, TEXT:Docs$ at [BODY] paragraph 1, character 1 (Missing link key 'Nope')", results);
+  assert("No report without a render context", applyDictionary_("{{Team}}", {}), "{{Team}}", results);
+}
+
+/**
+ * Tests for Variables tab selection (scope, validity) and {{VAR:...}} lookups
+ */
+function testVariablesTab(results) {
+  const config = new AppConfig({ linkRepositorySheetId: "LINK_SHEET" });
+  const day = (text) => new Date(text + "T00:00:00");
+  const entries = [
+    { key: "On_Call", value: "Ana", scopes: [], validFrom: null, validTo: null },
+    { key: "On_Call", value: "Ben", scopes: ["Daily"], validFrom: null, validTo: null },
+    { key: "Target", value: "100", scopes: ["Global"], validFrom: null, validTo: day("2026-03-31") },
+    { key: "Target", value: "120", scopes: ["Global"], validFrom: day("2026-04-01"), validTo: null },
+    { key: "Owner", value: "CELL:'Owners'!B2", scopes: ["Weekly", "Daily"], validFrom: null, validTo: null },
+    { key: "DATE", value: "x", scopes: [], validFrom: null, validTo: null }
+  ];
+  const daily = selectTemplateVariables_(entries, "Daily", config, day("2026-03-31"));
+  const weekly = selectTemplateVariables_(entries, "Weekly", config, day("2026-04-01"));
+
+  assert("Template row wins over global", daily.On_Call.value, "Ben", results);
+  assert("Global row for other templates", weekly.On_Call.value, "Ana", results);
+  assert("Valid until end date", daily.Target.value, "100", results);
+  assert("Valid from start date", weekly.Target.value, "120", results);
+  assert("Reference uses the Variables sheet", daily.Owner.reference, "CELL:LINK_SHEET, 'Owners'!B2", results);
+  assert("Reserved names skipped", daily.DATE, undefined, results);
+
+  // Lookups: caller variables first, then the tab; references read once
+  const context = createRenderContext_("Daily", config, { Target: "150" }, null, daily);
+  daily.Owner.value = "Chris"; // as if already read from the sheet
+  assert("VAR token", applyDictionary_("{{VAR:On_Call}}", context), "Ben", results);
+  assert("Plain token", applyDictionary_("{{on_call}}", context), "Ben", results);
+  assert("Caller variable wins", applyDictionary_("{{VAR:Target}}", context), "150", results);
+  assert("Reference value", applyDictionary_("{{VAR:Owner | upper}}", context), "CHRIS", results);
+  assert("Condition sees the tab", applyTemplateBlocks_("{{#IF VAR:On_Call = 'Ben'}}yes{{/IF}}", context), "yes", results);
+  applyDictionary_("{{VAR:Missing}}", context);
+  assert("Missing VAR reported by name", context.unresolved, ["Missing"], results);
+
+  // An unreadable validity date is reported, not treated as "no limit"
+  const sheetRows = [["Key", "Value", "Scope", "Valid_From", "Valid_To"], ["Promo", "20% off", "", "", "31/13/2026"], ["Team", "Ops", "", "", ""]];
+  const loaded = parseVariableRows_(sheetRows, sheetRows, config);
+  assert("Bad date flagged on its row", loaded[0].error, 'Variables tab row 2: Valid_To "31/13/2026" is not a date', results);
+  assert("Empty dates are no limit", [loaded[1].error, loaded[1].validTo], [null, null], results);
+  const strictContext = createRenderContext_("Daily", config, {}, null, selectTemplateVariables_(loaded, "Daily", config));
+  const rendered = applyDictionary_("{{VAR:Promo}} {{VAR:Team}}", strictContext);
+  assert("Bad date not rendered as a value", rendered, "ERROR Ops", results);
+  assert("Bad date in render report", strictContext.renderReport.map(r => r.reason), ['Variables tab row 2: Valid_To "31/13/2026" is not a date'], results);
+}
+
+/**
+ * Tests for [Table] highlight rules and sheet conditional formats (stand-in ranges, no Sheets access)
+ */
+function testTableHighlights(results) {
+  // Tag options
+  const table = parseTemplate_("<p>[Table] Sheet: abc, range: 'KPI'!A1:C4, <b>highlight</b>: C &gt;= 95% green, C &lt; 80% red.</p>").nodes[1];
+  assert("Range ends before options", table.range, "'KPI'!A1:C4", results);
+  assert("Highlight option healed", table.options.highlight, "C >= 95% green, C < 80% red", results);
+  assert("No options", parseTemplate_("[Table] Sheet: abc, range: A1:B2").nodes[0].options, {}, results);
+
+  // Rules
+  const rules = parseTableHighlightRules_("C >= 95% green, Status = 'At Risk' amber bold row, B<10 #ff0000");
+  assert("Rule parsed", [rules[0].column, rules[0].operator, rules[0].value, rules[0].background], ["C", ">=", "95%", "#b7e1cd"], results);
+  assert("Quoted value and style words", [rules[1].value, rules[1].bold, rules[1].row], ["At Risk", true, true], results);
+  assert("Hex color", rules[2].background, "#ff0000", results);
+  let message = "";
+  try { parseTableHighlightRules_("C > 95%"); } catch (e) { message = e.message; }
+  assert("Rule without color throws", message.indexOf("needs a color") !== -1, true, results);
+  assert("Validator reports bad rule",
+    validateTemplateSyntax_("[Table] Sheet: 1AbCdEfGhIjKlMnOpQrStUvWxYz, range: 'KPI'!A1:C4, highlight: C over 95 green").errors.length, 1, results);
+
+  // Applying rules (table starts in sheet column B)
+  const values = [["Team", "Uptime", "Status"], ["Ops", "97.5%", "OK"], ["Web", "79%", "At Risk"], ["Data", "", "OK"]];
+  const blank = (fill) => values.map(row => row.map(() => fill));
+  const formats = { backgrounds: blank("#ffffff"), fontColors: blank("#000000"), fontWeights: blank("normal") };
+  const issues = [];
+  applyTableHighlights_(parseTableHighlightRules_("C >= 95% green, Uptime < 80% red, Status = 'At Risk' amber row, E > 1 blue"), values, 2, formats, m => issues.push(m));
+  assert("Letter is a sheet column", formats.backgrounds[1][1], "#b7e1cd", results);
+  assert("First matching rule wins", formats.backgrounds[2][1], "#f4c7c3", results);
+  assert("Row rule fills the other cells", [formats.backgrounds[2][0], formats.fontWeights[2][0]], ["#fce8b2", "normal"], results);
+  assert("Empty cell not compared", formats.backgrounds[3][1], "#ffffff", results);
+  assert("Header row untouched", formats.backgrounds[0][1], "#ffffff", results);
+  assert("Unknown column reported", issues.length, 1, results);
+
+  // Sheet conditional formats
+  const color = (hex) => ({ asRgbColor: () => ({ asHexString: () => hex }) });
+  const fakeRange = (row, column, numRows, numColumns, data) => ({
+    getRow: () => row, getColumn: () => column, getNumRows: () => numRows, getNumColumns: () => numColumns, getValues: () => data
+  });
+  const booleanRule = (type, args, background) => ({
+    getBooleanCondition: () => ({
+      getCriteriaType: () => type, getCriteriaValues: () => args,
+      getBackgroundObject: () => color(background), getFontColorObject: () => null, getBold: () => true
+    }),
+    getRanges: () => [fakeRange(2, 2, 3, 1, [])]
+  });
+  const scaleRule = {
+    getBooleanCondition: () => null,
+    getGradientCondition: () => ({
+      getMinType: () => "MIN", getMinValue: () => "", getMinColorObject: () => color("#ffffff"),
+      getMidType: () => null, getMidValue: () => "", getMidColorObject: () => null,
+      getMaxType: () => "MAX", getMaxValue: () => "", getMaxColorObject: () => color("#00ff00")
+    }),
+    getRanges: () => [fakeRange(2, 4, 3, 1, [[0], [50], [100]])]
+  };
+  const sheetValues = [["Team", "Tickets", "Note", "Score"], ["Ops", 12, "", 0], ["Web", 3, "", 50], ["Data", "n/a", "", 100]];
+  const sheetFormats = { backgrounds: sheetValues.map(r => r.map(() => "#ffffff")), fontColors: sheetValues.map(r => r.map(() => "#000000")), fontWeights: sheetValues.map(r => r.map(() => "normal")) };
+  const range = fakeRange(1, 1, 4, 4, sheetValues);
+  const sheetRules = [
+    booleanRule("CUSTOM_FORMULA", ["=B2>5"], "#000000"),
+    booleanRule("NUMBER_GREATER_THAN", [10], "#ff0000"),
+    booleanRule("NUMBER_BETWEEN", [0, 20], "#0000ff"),
+    scaleRule
+  ];
+  applySheetConditionalFormats_(sheetRules, range, sheetValues, sheetFormats);
+  assert("Number rule applied", [sheetFormats.backgrounds[1][1], sheetFormats.fontWeights[1][1]], ["#ff0000", "bold"], results);
+  assert("Later rule for other cells", sheetFormats.backgrounds[2][1], "#0000ff", results);
+  assert("Number rule skips text", sheetFormats.backgrounds[3][1], "#ffffff", results);
+  assert("Color scale interpolated", [sheetFormats.backgrounds[1][3], sheetFormats.backgrounds[2][3], sheetFormats.backgrounds[3][3]], ["#ffffff", "#80ff80", "#00ff00"], results);
+}
+
+/**
+ * Tests for [Table] columns:, where:, sort:, limit: and hide-empty-columns
+ */
+function testTableSelection(results) {
+  const table = parseTemplate_("[Table] Sheet: abc, range: 'Tracker'!A1:E9, columns: A, Owner, where: Team = 'Ops' AND Status != Done, sort: Due desc, limit: 2, hide-empty-columns.").nodes[0];
+  assert("Range before options", table.range, "'Tracker'!A1:E9", results);
+  assert("Options split", table.options, { columns: "A, Owner", where: "Team = 'Ops' AND Status != Done", sort: "Due desc", limit: "2", "hide-empty-columns": true }, results);
+
+  const issues = [];
+  const options = parseTableOptions_(table.options, { variables: { Team: "Web" } }, m => issues.push(m));
+  assert("Sort keys", options.sort, [{ column: "Due", descending: true }], results);
+  assert("Limit and flag", [options.limit, options.hideEmptyColumns], [2, true], results);
+  assert("Row values win over variables", options.where({ Team: "Ops", Status: "Open" }), true, results);
+  parseTableOptions_({ limit: "ten", where: "Team =" }, null, m => issues.push(m));
+  assert("Bad limit and where reported", issues.length, 2, results);
+
+  // Team is merged over the first two data rows (A2:A3)
+  const values = [
+    ["Team", "Item", "Owner", "Due", "Notes"],
+    ["Ops", "Backup", "Ana", "2026-03-02", ""],
+    ["", "Patch", "Ben", "2026-03-09", ""],
+    ["Web", "Deploy", "Cy", "2026-03-05", ""],
+    ["Ops", "Audit", "", "2026-03-01", ""]
+  ];
+  const raw = values.map((row, r) => row.map((v, c) => c === 3 && r > 0 ? new Date(v + "T00:00:00") : v));
+  const origins = values.map(row => row.map(() => null));
+  origins[1][0] = origins[2][0] = { r: 1, c: 0 };
+  const select = (opts) => selectTableLayout_(values, raw, origins, 1, opts, m => issues.push(m));
+
+  assert("No options keeps everything", select({}), { rows: [0, 1, 2, 3, 4], cols: [0, 1, 2, 3, 4] }, results);
+  assert("Where sees merged value", select(parseTableOptions_({ where: "Team = Ops" }, null, () => {})).rows, [0, 1, 2, 4], results);
+  assert("Sort by date, limit", select({ sort: [{ column: "Due", descending: false }], limit: 3 }).rows, [0, 4, 1, 3], results);
+  assert("Sort descending by header letter", select({ sort: [{ column: "C", descending: true }] }).rows, [0, 3, 2, 1, 4], results);
+  assert("Columns by letter and header, in order", select({ columns: ["Owner", "A", "Missing"] }).cols, [2, 0], results);
+  assert("Empty columns hidden", select({ hideEmptyColumns: true }).cols, [0, 1, 2, 3], results);
+
+  // Merges follow the selected rows
+  const kept = layoutTableCells_([0, 1, 2], [0, 1], origins);
+  assert("Adjacent merge keeps rowspan", [kept[1][0].rowSpan, kept[2][0].skip], [2, true], results);
+  const split = layoutTableCells_([0, 1, 3, 2], [0, 1], origins);
+  assert("Split merge repeats the value", [split[3][0].skip, split[3][0].r, split[1][0].rowSpan], [false, 1, 1], results);
+}
+
+/**
+ * Tests for [Table] render modes (fixed, responsive, cards, minimal)
+ */
+function testTableRenderModes(results) {
+  // Mode: tag > [TABLE_MODE] section > tableRenderMode setting
+  const issues = [];
+  assert("Tag mode", parseTableOptions_({ mode: "Cards" }, null, m => issues.push(m)).mode, "cards", results);
+  parseTableOptions_({ mode: "tiny" }, null, m => issues.push(m));
+  assert("Unknown tag mode reported", issues.length, 1, results);
+  assert("Section mode", getDefaultTableMode_({ tableMode: "minimal", config: new AppConfig({ tableRenderMode: "cards" }) }), "minimal", results);
+  assert("Setting mode", getDefaultTableMode_({ config: new AppConfig({ tableRenderMode: "Responsive" }) }), "responsive", results);
+  assert("Default mode", getDefaultTableMode_(null), "fixed", results);
+  assert("Invalid setting rejected", validateConfig(new AppConfig({ tableRenderMode: "constructor" })).errors.some(e => e.indexOf("tableRenderMode") === 0), true, results);
+
+  // Same cells for every mode: header + two rows, "Ops" merged over both, second uptime flagged
+  const values = [["Team", "Uptime"], ["Ops", "97%"], ["", "79%"]];
+  const fill = (value) => values.map(row => row.map(() => value));
+  const origins = fill(null);
+  origins[1][0] = origins[2][0] = { r: 1, c: 0 };
+  const flagged = fill(false);
+  flagged[2][1] = true;
+  const backgrounds = fill("#ffffff");
+  backgrounds[2][1] = "#f4c7c3";
+  const table = {
+    values: values,
+    cells: layoutTableCells_([0, 1, 2], [0, 1], origins),
+    rows: [0, 1, 2],
+    colWidths: [150, 50],
+    totalWidth: 200,
+    formats: {
+      backgrounds: backgrounds, fontColors: fill("#000000"), fontWeights: fill("normal"), fontSizes: fill(10),
+      fontFamilies: fill("Arial"), horizontalAligns: fill("left"), verticalAligns: fill("top")
+    },
+    flagged: flagged,
+    rowHeight: () => 21
+  };
+
+  const fixed = TABLE_RENDER_MODES.fixed(table);
+  assert("Fixed uses pixel widths", [fixed.includes("table-layout: fixed; width: 200px"), fixed.includes('rowspan="2"')], [true, true], results);
+  const responsive = TABLE_RENDER_MODES.responsive(table);
+  assert("Responsive uses percentages", [responsive.includes("width: 100%; max-width: 200px"), responsive.includes("width: 75.0%"), responsive.includes("px;min-width")], [true, true, false], results);
+  const cards = TABLE_RENDER_MODES.cards(table);
+  assert("One card per row, merged value repeated", (cards.match(/>Team:<\/span> Ops</g) || []).length, 2, results);
+  assert("Card keeps highlight", cards.includes("background-color: #f4c7c3"), true, results);
+  const minimal = TABLE_RENDER_MODES.minimal(table);
+  assert("Minimal drops sheet colors, keeps highlights", [minimal.includes("#ffffff"), minimal.includes("#f4c7c3")], [false, true], results);
+}
+
+/**
+ * Tests for cached sheet metadata, truncation and Sheets API helpers
+ */
+function testTablePerformance(results) {
+  // Widths, heights and rules are read once per sheet, whatever the number of tags
+  _SHEET_METADATA_CACHE = {};
+  let reads = 0;
+  const sheet = {
+    getSheetId: () => 42,
+    getColumnWidth: () => { reads++; return 0; },
+    isColumnHiddenByUser: () => false,
+    getRowHeight: () => { reads++; return 21; },
+    getConditionalFormatRules: () => { reads++; return []; }
+  };
+  const first = getSheetMetadata_("SS", sheet);
+  [1, 2, 1, 2].forEach(c => first.columnWidth(c));
+  [5, 5].forEach(r => first.rowHeight(r));
+  first.conditionalFormatRules();
+  getSheetMetadata_("SS", sheet).conditionalFormatRules();
+  assert("Metadata read once", reads, 4, results);
+  assert("Missing width falls back", first.columnWidth(1), 100, results);
+  _SHEET_METADATA_CACHE = {};
+
+  // Truncation
+  const issues = [];
+  assert("max-rows option", parseTableOptions_({ "max-rows": "50" }, null, m => issues.push(m)).maxRows, 50, results);
+  parseTableOptions_({ "max-rows": "0" }, null, m => issues.push(m));
+  assert("Invalid max-rows reported", issues, ['Invalid max-rows: "0". Expected a number of rows, e.g. max-rows: 10'], results);
+  const footer = renderTruncationFooter_(950, "SS_ID", 7, "'Raw Data'!A1:F1000");
+  assert("Footer counts hidden rows", footer.includes("950 more rows"), true, results);
+  assert("Footer links the range", footer.includes("/d/SS_ID/edit#gid=7&range=A1%3AF1000"), true, results);
+  assert("Negative maxTableRows rejected", validateConfig(new AppConfig({ maxTableRows: -1 })).errors.some(e => e.indexOf("maxTableRows") === 0), true, results);
+
+  // Sheets API colors
+  assert("API color to hex", toHexColorFromApi_({ red: 1, green: 0.5 }, "#ffffff"), "#ff8000", results);
+  assert("Missing API color", toHexColorFromApi_(undefined, "#ffffff"), "#ffffff", results);
+}
+
+/**
+ * Tests for escaping, links and mixed formatting in table cells
+ */
+function testTableCellContent(results) {
+  const table = (values, richText) => ({ values: [values], richText: richText ? [richText] : undefined });
+
+  assert("Cell text escaped", renderTableCellContent_(table(["a < b & \"c\""]), 0, 0), "a &lt; b &amp; &quot;c&quot;", results);
+  assert("Line breaks kept", renderTableCellContent_(table(["Line 1\nLine 2"]), 0, 0), "Line 1<br>Line 2", results);
+
+  // SpreadsheetApp rich text: one bold, linked run next to a plain one
+  const run = (text, link, bold) => ({
+    getText: () => text,
+    getLinkUrl: () => link,
+    getTextStyle: () => ({ isBold: () => bold, isItalic: () => false, isUnderline: () => false, isStrikethrough: () => false })
+  });
+  const mixed = readRichTextValue_({ getLinkUrl: () => null, getRuns: () => [run("Ticket", "https://x.io/1?a=1&b=2", true), run(" <open>", null, false)] }, null, "SS");
+  assert("Mixed runs rendered", renderTableCellContent_(table(["Ticket <open>"], [mixed]), 0, 0),
+    '<a href="https://x.io/1?a=1&amp;b=2"><b>Ticket</b></a> &lt;open&gt;', results);
+  assert("Plain rich text ignored", readRichTextValue_({ getLinkUrl: () => null, getRuns: () => [run("Done", null, true)] }, null, "SS"), null, results);
+  assert("Numbers have no rich text", readRichTextValue_(null, null, "SS"), null, results);
+
+  // Whole-cell links, including HYPERLINK() formulas and links to other tabs
+  assert("HYPERLINK formula URL", getHyperlinkFormulaUrl_('=HYPERLINK("https://x.io/?q=""a""", "Open")'), 'https://x.io/?q="a"', results);
+  assert("Computed HYPERLINK ignored", getHyperlinkFormulaUrl_('=HYPERLINK(A2, "Open")'), null, results);
+  const formulaLink = readRichTextValue_({ getLinkUrl: () => null, getRuns: () => [run("Open", null, false)] }, "https://x.io", "SS");
+  assert("Formula link rendered", renderTableCellContent_(table(["Open"], [formulaLink]), 0, 0), '<a href="https://x.io">Open</a>', results);
+  const tabLink = readRichTextValue_({ getLinkUrl: () => "#gid=3", getRuns: () => [run("Raw", "#gid=3", false)] }, null, "SS");
+  assert("Tab link made absolute", tabLink.link, "https://docs.google.com/spreadsheets/d/SS/edit#gid=3", results);
+  assert("Unsafe link dropped", renderTableCellContent_(table(["x"], [{ link: "javascript:alert(1)", runs: [] }]), 0, 0), "x", results);
+
+  // Sheets API: runs inherit the cell's format, hyperlink covers the whole cell
+  const apiRich = readApiRichText_({
+    formattedValue: "Due today",
+    textFormatRuns: [{ format: {} }, { startIndex: 4, format: { italic: true } }]
+  }, { bold: true }, "SS");
+  assert("API runs", apiRich.runs.map(r => [r.text, r.bold, r.italic]), [["Due ", true, false], ["today", true, true]], results);
+  assert("API mixed style only", renderTableCellContent_(table(["Due today"], [apiRich]), 0, 0), "Due <i>today</i>", results);
+  assert("API hyperlink", readApiRichText_({ formattedValue: "Open", hyperlink: "https://x.io" }, {}, "SS").link, "https://x.io", results);
 }
 
 /**
@@ -231,6 +735,92 @@ function testParseRecipientKeys(results) {
   assert("Whitespace trimmed on second", result6[1], "Analyst", results);
 }
 
+/**
+ * Tests for [FROM] parsing, [PRIORITY] subject prefixes and GmailApp draft options
+ */
+function testDraftOptions(results) {
+  // [FROM]
+  const sender1 = parseSenderAddress_("Ops Desk <ops@acme.com>");
+  assert("From name", sender1.name, "Ops Desk", results);
+  assert("From address", sender1.email, "ops@acme.com", results);
+  assert("Quoted display name", parseSenderAddress_('"Ops Desk" <ops@acme.com>').name, "Ops Desk", results);
+  assert("Address only", parseSenderAddress_("ops@acme.com,"), { name: "", email: "ops@acme.com" }, results);
+  assert("Display name only", parseSenderAddress_("Ops Desk"), { name: "Ops Desk", email: "" }, results);
+
+  // A [FROM] address that is not an alias of this account is dropped and reported
+  const senderContext = { renderReport: [] };
+  const dropped = resolveSender_("Ops Desk <not-an-alias@example.invalid>", senderContext);
+  assert("Unknown sender dropped", dropped, { name: "Ops Desk", email: "" }, results);
+  assert("Dropped sender is in the render report", senderContext.renderReport.length, 1, results);
+  assert("Dropped sender report names [FROM]", senderContext.renderReport[0].location, "[FROM]", results);
+
+  // [PRIORITY]
+  const config = { priorityPrefixes: { HIGH: "[HIGH PRIORITY] ", NORMAL: "", LOW: "" } };
+  assert("High priority prefix", applyPriorityPrefix_("Daily Report", "High", config), "[HIGH PRIORITY] Daily Report", results);
+  assert("Normal priority unchanged", applyPriorityPrefix_("Daily Report", "normal", config), "Daily Report", results);
+  assert("Prefix not doubled", applyPriorityPrefix_("[HIGH PRIORITY] Daily Report", "High", config), "[HIGH PRIORITY] Daily Report", results);
+  assert("Unknown priority ignored", applyPriorityPrefix_("Daily Report", "Urgent", config), "Daily Report", results);
+
+  // Draft options
+  const options = buildDraftOptions_("<p>Hi</p>", { cc: "a@acme.com", bcc: "", replyTo: "desk@acme.com", from: "", name: "Ops Desk" });
+  assert("Options keep cc", options.cc, "a@acme.com", results);
+  assert("Empty bcc omitted", "bcc" in options, false, results);
+  assert("Options include replyTo", options.replyTo, "desk@acme.com", results);
+  assert("Empty from omitted", "from" in options, false, results);
+  assert("Options include display name", options.name, "Ops Desk", results);
+
+  // Inline images (cid:)
+  const context = { inlineImages: {} };
+  const blob = Utilities.newBlob([1, 2, 3], "image/png", "chart.png");
+  assert("Image registered as cid", registerInlineImage_(context, blob), "cid:inline_image_1", results);
+  assert("Fixed cid", registerInlineImage_(context, blob, "signature_logo"), "cid:signature_logo", results);
+  assert("Data URI without a context", registerInlineImage_(null, blob).indexOf("data:image/png;base64,"), 0, results);
+
+  const withImages = buildDraftOptions_('<img src="cid:signature_logo">', { cc: "" }, [], context.inlineImages);
+  assert("Only referenced images are sent", Object.keys(withImages.inlineImages), ["signature_logo"], results);
+  assert("No inlineImages option without images", "inlineImages" in buildDraftOptions_("<p>Hi</p>", { cc: "" }), false, results);
+}
+
+/**
+ * Tests for [ATTACHMENTS] line parsing
+ */
+function testAttachmentSpecs(results) {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+
+  // Drive file
+  const file = parseAttachmentSpec_(`https://drive.google.com/file/d/${id}/view`);
+  assert("Drive URL is a file", file.type, "file", results);
+  assert("Drive URL extracts ID", file.fileId, id, results);
+
+  // Latest file in folder
+  const latest = parseAttachmentSpec_(`Latest: ${id}, pattern: Daily_Report_*.pdf`);
+  assert("Latest type", latest.type, "latest", results);
+  assert("Latest pattern", latest.pattern, "Daily_Report_*.pdf", results);
+  assert("Wildcard matches", buildFilePatternRegex_("Daily_Report_*.pdf").test("Daily_Report_2026-10-19.pdf"), true, results);
+  assert("Wildcard is anchored", buildFilePatternRegex_("Daily_Report_*.pdf").test("Old_Daily_Report_1.pdf"), false, results);
+  assert("Regex pattern", buildFilePatternRegex_("/^KPI_\\d+\\.xlsx$/").test("KPI_42.xlsx"), true, results);
+
+  // Sheet export
+  const sheet = parseAttachmentSpec_(`Sheet: ${id}, range: 'KPI, Weekly'!A1:F30, format: xlsx, name: KPI Summary`);
+  assert("Sheet type", sheet.type, "sheet", results);
+  assert("Sheet range keeps commas", sheet.range, "'KPI, Weekly'!A1:F30", results);
+  assert("Sheet format", sheet.format, "XLSX", results);
+  assert("Sheet file name", sheet.name, "KPI Summary", results);
+  assert("PDF is the default format", parseAttachmentSpec_(`Sheet: ${id}, range: KPI!A1:B2`).format, "PDF", results);
+
+  let threw = false;
+  try { parseAttachmentSpec_(`Sheet: ${id}, range: KPI!A1:B2, format: DOCX`); } catch (e) { threw = true; }
+  assert("Unsupported format throws", threw, true, results);
+
+  // Dry-run listing: specs are parsed only, failures go to the render report
+  const context = { section: "ATTACHMENTS", renderReport: [] };
+  const listed = listAttachments([`Sheet: ${id}, range: KPI!A1:B2, format: csv`, "not an attachment"], context);
+  assert("Dry run lists parsed specs", listed.files, [`Sheet ${id} KPI!A1:B2 as CSV`], results);
+  assert("Dry run reports bad lines", listed.errors.length, 1, results);
+  assert("Bad attachment is in the render report", context.renderReport.length, 1, results);
+  assert("Render report names the section", context.renderReport[0].location, "[ATTACHMENTS]", results);
+}
+
 /**
  * Tests for fixMissingQuotes_ function
  */
@@ -256,6 +846,339 @@ function testFixMissingQuotes(results) {
   assert("Sheet with hyphen gets quotes", result5, "'Sheet-Name'!A1", results);
 }
 
+/**
+ * Tests for parseSheetReference_ function
+ */
+function testParseSheetReference(results) {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+
+  // URL + range
+  const result1 = parseSheetReference_(`https://docs.google.com/spreadsheets/d/${id}/edit#gid=0, 'KPI'!B2`);
+  assert("URL reference extracts ID", result1.ssId, id, results);
+  assert("URL reference keeps range", result1.target, "'KPI'!B2", results);
+
+  // Range only (active spreadsheet)
+  const result2 = parseSheetReference_("KPI!B2");
+  assert("Range-only reference has no ID", result2.ssId, null, results);
+  assert("Range-only target", result2.target, "KPI!B2", results);
+
+  // Named range
+  const result3 = parseSheetReference_(`${id}, Ticket_Count`);
+  assert("Named range target", result3.target, "Ticket_Count", results);
+
+  // Quoted sheet names may contain commas
+  const result4 = parseSheetReference_(`${id}, 'Q1, Q2'!B2`);
+  assert("Comma in sheet name keeps ID", result4.ssId, id, results);
+  assert("Comma in sheet name keeps target", result4.target, "'Q1, Q2'!B2", results);
+  assert("Comma in sheet name without ID", parseSheetReference_("'Q1, Q2'!B2"), { ssId: null, target: "'Q1, Q2'!B2" }, results);
+
+  // Invalid sheet part
+  let threw = false;
+  try { parseSheetReference_("not-an-id, A1"); } catch (e) { threw = true; }
+  assert("Invalid sheet reference throws", threw, true, results);
+}
+
+/**
+ * Tests for [INCLUDE:...] directive parsing and cycle detection
+ */
+function testTemplateIncludes(results) {
+  const id = "1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789";
+
+  // Directive parsing
+  assert("Plain paragraph is not a directive", parseIncludeDirective_("Include the footer"), null, results);
+  assert("Tab name", parseIncludeDirective_("[INCLUDE:Footer_Ops]").tabName, "Footer_Ops", results);
+  assert("Same document by default", parseIncludeDirective_("[INCLUDE:Footer_Ops]").documentId, null, results);
+
+  const include = parseIncludeDirective_(`[INCLUDE: Escalation, doc: https://docs.google.com/document/d/${id}/edit, Team=Ops, Phone = 555]`);
+  assert("Document from URL", include.documentId, id, results);
+  assert("Parameter value", include.params.Team, "Ops", results);
+  assert("Parameter value trimmed", include.params.Phone, "555", results);
+
+  // Cycle detection (no document access needed)
+  let message = "";
+  try {
+    resolveInclude_({ tabName: "Footer_Ops", documentId: null, params: {} }, "DOC", ["DOC#Daily", "DOC#Footer_Ops"]);
+  } catch (e) { message = e.message; }
+  assert("Circular include throws", message, "Circular include: Daily -> Footer_Ops -> Footer_Ops", results);
+
+  // Only the [BODY] of a partial is included: every other section ends it
+  const paragraph = (text) => ({ getText: () => text });
+  const footerTab = {
+    getTitle: () => "Footer_Ops",
+    getChildTabs: () => [],
+    asDocumentTab: () => ({ getBody: () => {
+      const children = ["[SUBJECT]", "Unused", "[BODY]", "Thanks,", "Ops Team", "[ATTACHMENTS]", "Report*.pdf"].map(paragraph);
+      return { getNumChildren: () => children.length, getChild: (i) => children[i] };
+    } })
+  };
+  const cachedDocuments = _DOCUMENT_CACHE;
+  _DOCUMENT_CACHE = { DOC: { getTabs: () => [footerTab] } };
+  try {
+    const partial = resolveInclude_({ tabName: "Footer_Ops", documentId: null, params: {} }, "DOC", ["DOC#Daily"]);
+    assert("Partial body stops at [ATTACHMENTS]", partial.elements.map(el => el.getText()), ["Thanks,", "Ops Team"], results);
+  } finally {
+    _DOCUMENT_CACHE = cachedDocuments;
+  }
+  assert("Every section marker recognised", ["[BCC]", "[REPLY_TO]", "[FROM]", "[PRIORITY]", "[ATTACHMENTS]"].map(getTemplateSectionKey_),
+    ["bcc", "replyTo", "from", "priority", "attachments"], results);
+  assert("Other brackets are not sections", [getTemplateSectionKey_("[Table]"), getTemplateSectionKey_("[CONSTRUCTOR]")], [null, null], results);
+}
+
+/**
+ * Tests for the template parser (AST, healing, positions)
+ */
+function testTemplateParser(results) {
+  const types = (text) => parseTemplate_(text).nodes.map(n => n.type).join(",");
+
+  // Node types
+  assert("Token between text", types("Hi {{NAME}}!"), "Text,Token,Text", results);
+  assert("Block marker", parseTemplate_("{{#IF DAY > 25}}").nodes[0].keyword, "#IF", results);
+  assert("Link node", types("$LINK:Wiki, TEXT:Docs$"), "Link", results);
+  assert("Table runs to end of paragraph", types("<p>[Table] Sheet: abc, range: 'KPI'!A1:B2</p>"), "Text,Table,Text", results);
+  const listTable = parseTemplate_("<ul><li>[Table] Sheet: abc, range: 'KPI'!A1:B2</li><li>Next item</li></ul>").nodes[1];
+  assert("Table in a list item ends with it", [listTable.range, listTable.raw.indexOf("Next")], ["'KPI'!A1:B2", -1], results);
+  const headingTable = parseTemplate_("<h2>[Table] Sheet: abc, range: 'KPI'!A1:B2</h2><p>Intro</p>").nodes[1];
+  assert("Table in a heading ends with it", headingTable.raw, "[Table] Sheet: abc, range: 'KPI'!A1:B2", results);
+  assert("Escape in a list item ends with it", parseTemplate_("<li>\\{{A</li><li>}}</li>").nodes[1].literal, "{{", results);
+  const headingIssue = parseTemplate_("<h1>{{DATE</h1><p>Body text</p>").issues[0].message;
+  assert("Unclosed tag in a heading quoted to its end", headingIssue.indexOf("Body") === -1 && headingIssue.indexOf("{{DATE") !== -1, true, results);
+  assert("Table in a cell ends with it", parseTemplate_("<td>[Table] Sheet: abc, range: A1:B2</td><td>x</td>").nodes[1].range, "A1:B2", results);
+  assert("Positions count cells as paragraphs", parseTemplate_("<td>a</td><td>{{X}}</td>").nodes.find(n => n.type === "Token").position.paragraph, 1, results);
+  assert("Unclosed tag ends at a line break tag", parseTemplate_("<p>{{DATE<br>Body</p>").issues[0].message.indexOf("Body"), -1, results);
+
+  // Healing
+  const token = parseTemplate_("{{ <b>DATE</b>:Today }}").nodes[0];
+  assert("Token content healed", token.content, "DATE:Today", results);
+  assert("Token command", token.command, "DATE", results);
+  const link = parseTemplate_("$LINK:<b>Wiki</b>, TEXT:Team&nbsp;Docs$").nodes[0];
+  assert("Link key healed", link.key, "Wiki", results);
+  assert("Link label healed", link.label, "Team Docs", results);
+  assert("Token inside link found", findTemplateNodes_(parseTemplate_("$LINK:{{URL}}, TEXT:Go$").nodes, "Token").length, 1, results);
+
+  // Positions
+  const html = "<p>Intro</p><p><b>Total</b>: {{COUNT}}</p>";
+  assert("Position counts paragraphs and visible text", parseTemplate_(html).nodes[1].position, { paragraph: 1, offset: 7 }, results);
+  assert("Plain text lines are paragraphs", parseTemplate_("A\nB &amp; {{X}}").nodes[1].position, { paragraph: 1, offset: 4 }, results);
+  assert("Position formatted 1-based", formatTemplatePosition_({ paragraph: 1, offset: 7 }), "paragraph 2, character 8", results);
+
+  // Issues
+  const unclosed = parseTemplate_("Line\nSee {{DATE:Today");
+  assert("Unclosed tag kept as text", unclosed.nodes.map(n => n.raw).join(""), "Line\nSee {{DATE:Today", results);
+  assert("Unclosed tag reported with position", unclosed.issues[0].position, { paragraph: 1, offset: 4 }, results);
+  const nested = parseTemplate_("{{DATE:{{X}}}}");
+  assert("Nested braces is an error", nested.issues[0].severity, "error", results);
+  assert("Inner tag still parsed", findTemplateNodes_(nested.nodes, "Token")[0].content, "X", results);
+  assert("Malformed link is a warning", parseTemplate_("$LINK:Wiki$").issues[0].severity, "warning", results);
+  assert("Malformed table is an error", parseTemplate_("[Table] KPI").issues[0].severity, "error", results);
+
+  // Rendering round trip
+  const source = "<p>$LINK:Wiki, TEXT:Docs$ {{DATE}} [Table] Sheet: x, range: A1</p>";
+  assert("Unchanged render is lossless", renderTemplateNodes_(parseTemplate_(source).nodes, () => undefined), source, results);
+  assert("Unknown tag left healed", applyDictionary_("{{<i>Unknown Var</i>}}"), "{{Unknown Var}}", results);
+  assert("Link uses healed key", injectManagedLinks("$LINK:<b>Wiki</b>, TEXT:Docs$", { Wiki: "https://wiki" }).includes('href="https://wiki"'), true, results);
+}
+
+/**
+ * Tests for multi-paragraph [SUBJECT] and [PREHEADER], using a stand-in template document
+ */
+function testSubjectAndPreheader(results) {
+  const paragraphs = [
+    "[SUBJECT]", "Daily Report", "{{#IF DAY > 0}}", "- {{REGION}}", "{{/IF}}",
+    "[PREHEADER]", "Totals for {{REGION}} & <more>",
+    "[BODY]"
+  ];
+  const body = { getNumChildren: () => paragraphs.length, getChild: (i) => ({ getText: () => paragraphs[i] }) };
+  const tab = { getTitle: () => "Daily", getChildTabs: () => [], asDocumentTab: () => ({ getBody: () => body }) };
+  _DOCUMENT_CACHE["TEST_DOC"] = { getTabs: () => [tab] };
+
+  const template = fetchTemplate("Daily", "TEST_DOC", createRenderContext_("Daily", null, { REGION: "APAC" }));
+  delete _DOCUMENT_CACHE["TEST_DOC"];
+
+  assert("Subject paragraphs joined", template.subject, "Daily Report - APAC", results);
+  assert("Preheader rendered as text", template.preheader, "Totals for APAC & <more>", results);
+  assert("Preheader hidden at top of body", template.body.indexOf("<div data-preheader") === 0, true, results);
+  assert("Preheader HTML-escaped", template.body.includes("Totals for APAC &amp; &lt;more&gt;"), true, results);
+  assert("No preheader, no markup", buildPreheaderHtml_(""), "", results);
+  assert("Preheader left out of plain text", htmlToPlainText_(buildPreheaderHtml_("Preview") + "<p>Hello</p>"), "Hello", results);
+}
+
+/**
+ * Tests for Markdown / HTML file templates (file contents are placed in the execution cache)
+ */
+function testTemplateSources(results) {
+  // Markdown conversion
+  assert("Heading", markdownToHtml_("## Summary").startsWith("<h2 "), true, results);
+  assert("Paragraph lines joined", markdownToHtml_("Hello\nteam").includes(">Hello team</p>"), true, results);
+  assert("Inline styles", markdownToHtml_("**Bold** *it* `x` [Docs](https://docs)"),
+    "<p style='margin:0 0 12px;padding:0;'><b>Bold</b> <i>it</i> <code style='font-family:monospace;'>x</code> <a href=\"https://docs\">Docs</a></p>", results);
+  assert("Underscores left alone", markdownToHtml_("{{FIRST_NAME}} and {{LAST_NAME}}").includes("{{FIRST_NAME}} and {{LAST_NAME}}"), true, results);
+  const list = markdownToHtml_("- A\n  1. A.1\n- B");
+  assert("Nested list inside parent item", list.includes("<li>A<ol "), true, results);
+  assert("Nested list closed before next item", list.includes("<li>A.1</li></ol></li><li>B</li></ul>"), true, results);
+  assert("Block markers keep the list", markdownToHtml_("- A\n{{#IF DAY > 0}}\n- B\n{{/IF}}").match(/<ul /g).length, 1, results);
+
+  // Source selection
+  const config = new AppConfig({
+    templateSources: { Weekly: { type: "markdown", fileId: "MD_FILE" }, Status: { type: "html", fileId: "HTML_FILE" } }
+  });
+  assert("Doc by default", resolveTemplateSource_("Daily", "DOC", config).type, "doc", results);
+  assert("Markdown from config", resolveTemplateSource_("Weekly", "DOC", config).type, "markdown", results);
+
+  // Same sections as a Doc template
+  _TEMPLATE_FILE_CACHE["MD_FILE"] = "[SUBJECT]\r\nWeekly {{REGION}}\r\n[TO]\r\nops@company.com\r\n[BODY]\r\n# Update\r\nAll **good**";
+  _TEMPLATE_FILE_CACHE["HTML_FILE"] = "<p>[SUBJECT]</p>\n<p>Status &amp; {{REGION}}</p>\n<p>[BODY]</p>\n<div>Region: {{REGION}}</div>";
+  const markdown = fetchTemplate("Weekly", "DOC", createRenderContext_("Weekly", config, { REGION: "APAC" }));
+  const html = fetchTemplate("Status", "DOC", createRenderContext_("Status", config, { REGION: "EMEA" }));
+  _TEMPLATE_FILE_CACHE = {};
+
+  assert("Markdown subject", markdown.subject, "Weekly APAC", results);
+  assert("Markdown recipients", markdown.to, "ops@company.com,", results);
+  assert("Markdown body converted", markdown.body.includes("All <b>good</b>"), true, results);
+  assert("HTML section markers inside tags", html.subject, "Status & EMEA", results);
+  assert("HTML body kept as written", html.body, "<div>Region: EMEA</div>", results);
+
+  let message = "";
+  try {
+    loadTemplateSource_({ type: "yaml", fileId: "X" }, "Weekly");
+  } catch (e) { message = e.message; }
+  assert("Unknown source type throws", message, "Unknown template source type 'yaml' for 'Weekly'", results);
+}
+
+/**
+ * Tests for template hashing, snapshot lookup and diffs
+ */
+function testTemplateSnapshots(results) {
+  assert("SHA-256 hex", computeContentHash_("abc"), "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad", results);
+
+  // Hash covers the unrendered sections, not the rendered output
+  const config = new AppConfig({ templateSources: { Weekly: { type: "markdown", fileId: "MD_FILE" } } });
+  _TEMPLATE_FILE_CACHE["MD_FILE"] = "Notes for editors\n[SUBJECT]\nWeekly {{REGION}}\n[BODY]\nHello\n\nBye\n";
+  const apac = fetchTemplate("Weekly", "DOC", createRenderContext_("Weekly", config, { REGION: "APAC" }));
+  const emea = fetchTemplate("Weekly", "DOC", createRenderContext_("Weekly", config, { REGION: "EMEA" }));
+  _TEMPLATE_FILE_CACHE["MD_FILE"] = "[SUBJECT]\nWeekly {{REGION}}\n[BODY]\nHello all\n\nBye";
+  const edited = readTemplateSections_("Weekly", "DOC", config);
+  _TEMPLATE_FILE_CACHE = {};
+
+  assert("Raw content by section", apac.rawContent, "[SUBJECT]\nWeekly {{REGION}}\n[BODY]\nHello\n\nBye", results);
+  assert("Same template, same hash", apac.contentHash === emea.contentHash, true, results);
+  assert("Edited template, new hash", edited.contentHash === apac.contentHash, false, results);
+
+  // Lookup by hash prefix or run time
+  const snapshots = [
+    { timestamp: new Date("2026-03-01T08:00:00Z"), hash: "aaaa1111bbbb", content: "v1" },
+    { timestamp: new Date("2026-03-08T08:00:00Z"), hash: "cccc2222dddd", content: "v2" }
+  ];
+  assert("Snapshot by hash prefix", findSnapshot_(snapshots, "cccc222").content, "v2", results);
+  assert("Snapshot in use at run time", findSnapshot_(snapshots, new Date("2026-03-05T09:00:00Z")).content, "v1", results);
+  assert("No snapshot before first run", findSnapshot_(snapshots, "2026-02-01"), null, results);
+
+  // Snapshots go to their own spreadsheet only, never the directory sheet
+  const directoryOnly = new AppConfig({ directorySheetId: "DIRECTORY" });
+  assert("No snapshot sheet by default", directoryOnly.snapshotSheetId, "", results);
+  assert("Nothing recorded without snapshotSheetId", recordTemplateSnapshot_("Weekly", apac, directoryOnly), false, results);
+
+  // Stored text is only read for the snapshot that was found
+  const reads = [];
+  const rows = [
+    [new Date("2026-03-01T08:00:00Z"), "Weekly", "aaaa1111bbbb", "Doc", "v1"],
+    [new Date("2026-03-02T08:00:00Z"), "Daily", "eeee3333ffff", "Doc", "d1"],
+    [new Date("2026-03-08T08:00:00Z"), "Weekly", "cccc2222dddd", "Doc", "v2"]
+  ];
+  const sheet = {
+    getLastRow: () => rows.length + 1,
+    getRange: (row, column, numRows, numColumns) => {
+      reads.push([row, column, numRows, numColumns]);
+      return { getValues: () => rows.slice(row - 2, row - 2 + numRows).map(r => r.slice(column - 1, column - 1 + numColumns)) };
+    }
+  };
+  assert("Recording reads template and hash only", readSnapshots_(sheet, false).map(s => s.hash), ["aaaa1111bbbb", "eeee3333ffff", "cccc2222dddd"], results);
+  assert("Recording skips the content column", reads, [[2, 2, 3, 2]], results);
+  const found = readSnapshotContent_(sheet, findSnapshot_(readSnapshots_(sheet, true).filter(s => s.templateName === "Weekly"), "cccc222"));
+  assert("Content read for the found row only", [found.content, reads[reads.length - 1]], ["v2", [4, 4, 1, 2]], results);
+
+  // Diff
+  assert("Line diff", diffTextLines_(apac.rawContent, edited.rawContent),
+    ["  [SUBJECT]", "  Weekly {{REGION}}", "  [BODY]", "- Hello", "+ Hello all", "  ", "  Bye"], results);
+}
+
+/**
+ * Tests for \{{...}}, \$LINK, \[Table] and [RAW]...[/RAW]
+ */
+function testEscapeSyntax(results) {
+  const shown = (html) => htmlToPlainText_(html);
+
+  // Dictionary
+  assert("Escaped tag shown literally", shown(applyDictionary_("Type \\{{NAME}} here")), "Type {{NAME}} here", results);
+  assert("Escape only covers one tag", shown(applyDictionary_("\\{{X}} {{DATE_FORMAT:Today:yyyy}}")).startsWith("{{X}} 20"), true, results);
+  assert("Raw block shown literally", shown(applyDictionary_("[RAW]{{A}} and {{B}}[/RAW]")), "{{A}} and {{B}}", results);
+  assert("Raw block spans paragraphs", shown(applyDictionary_("<p>[raw]{{A}}</p><p>{{B}}[/raw]</p>")), "{{A}}\n{{B}}", results);
+  assert("Escaped output holds no syntax", /\{\{|\$LINK|\[Table\]/.test(applyDictionary_("[RAW]$LINK:Wiki, TEXT:Docs$ [Table] Sheet: x, range: A1[/RAW]")), false, results);
+
+  // Links and tables
+  assert("Escaped link not injected", shown(injectManagedLinks("\\$LINK:Wiki, TEXT:Docs$", { Wiki: "https://wiki" })), "$LINK:Wiki, TEXT:Docs$", results);
+  assert("Escaped table not rendered", shown(processTables("<p>\\[Table] Sheet: x, range: A1</p>")), "[Table] Sheet: x, range: A1", results);
+
+  // Blocks
+  assert("Raw block hides markers", shown(applyDictionary_(applyTemplateBlocks_("[RAW]{{#IF DAY > 40}}x{{/IF}}[/RAW]"))), "{{#IF DAY > 40}}x{{/IF}}", results);
+  assert("Escape kept inside a block", shown(applyDictionary_(applyTemplateBlocks_("{{#IF DAY > 0}}\\{{X}}{{/IF}}"))), "{{X}}", results);
+
+  // Validation
+  assert("Escaped tags are not validated", validateTemplateSyntax_("\\{{DATE | nope}} [RAW]{{Bad Tag}} [Table] KPI[/RAW]"), { errors: [], warnings: [] }, results);
+  assert("Unclosed raw block is a warning", parseTemplate_("[RAW]{{A}}").issues[0].message, "Unclosed [RAW] block - missing [/RAW]", results);
+  assert("Plain-text sections unescaped", unescapeTemplateSyntax_(escapeTemplateSyntax_("{{A}} $ [B]")), "{{A}} $ [B]", results);
+}
+
+/**
+ * Tests for Doc -> HTML conversion, using minimal stand-ins for Doc elements
+ */
+function testDocHtmlConverter(results) {
+  const type = DocumentApp.ElementType;
+  const text = (value) => ({
+    getType: () => type.TEXT,
+    editAsText: () => ({
+      getText: () => value,
+      getTextAttributeIndices: () => [0],
+      isBold: () => false, isItalic: () => false, isUnderline: () => false, isStrikethrough: () => false,
+      getTextAlignment: () => null, getForegroundColor: () => null, getBackgroundColor: () => null,
+      getFontSize: () => 11, getFontFamily: () => "Arial", getLinkUrl: () => null
+    })
+  });
+  const paragraph = (value, heading) => ({
+    getType: () => type.PARAGRAPH, getText: () => value, getHeading: () => heading || "NORMAL",
+    getAlignment: () => null, getIndentStart: () => null, getIndentFirstLine: () => null,
+    getNumChildren: () => (value ? 1 : 0), getChild: () => text(value)
+  });
+  const item = (value, listId, level, glyph) => ({
+    getType: () => type.LIST_ITEM, getText: () => value, getListId: () => listId,
+    getNestingLevel: () => level, getGlyphType: () => glyph,
+    getNumChildren: () => 1, getChild: () => text(value)
+  });
+
+  // Nested lists
+  const nested = convertElementsToHtml_([
+    item("A", "L1", 0, "NUMBER"), item("A.1", "L1", 1, "BULLET"), item("B", "L1", 0, "NUMBER")
+  ]);
+  assert("Numbered list uses <ol>", nested.indexOf("<ol ") === 0, true, results);
+  assert("Nested list inside parent item", nested.includes("<li>A<ul "), true, results);
+  assert("Nested list closed before next item", nested.includes("<li>A.1</li></ul></li><li>B</li></ol>"), true, results);
+
+  // Numbering continues after an interruption
+  const resumed = convertElementsToHtml_([
+    item("A", "L1", 0, "NUMBER"), paragraph("Note"), item("B", "L1", 0, "NUMBER")
+  ]);
+  assert("Resumed list keeps numbering", resumed.includes('<ol start="2"'), true, results);
+
+  // Block markers keep the list open
+  const blocks = convertElementsToHtml_([
+    item("A", "L1", 0, "BULLET"), paragraph("{{#IF Extra}}"), item("B", "L1", 0, "BULLET"), paragraph("{{/IF}}")
+  ]);
+  assert("Markers stay inside the list", blocks.includes("<li>A</li>{{#IF Extra}}<li>B</li>{{/IF}}</ul>"), true, results);
+
+  // Headings
+  assert("Heading 2 becomes h2", convertElementToHtml_(paragraph("Summary", "HEADING2")).indexOf("<h2 "), 0, results);
+  assert("Empty paragraph becomes <br>", convertElementToHtml_(paragraph("")), "<br>", results);
+}
+
 /**
  * Tests for htmlToPlainText_ function
  */
@@ -275,6 +1198,7 @@ function testHtmlToPlainText(results) {
   // HTML entities
   const result4 = htmlToPlainText_("&nbsp;&amp;&lt;&gt;&quot;");
   assert("Entities decoded", result4, " &<>\"", results);
+  assert("Numeric entities decoded", htmlToPlainText_("&#123;&#123;X&#125;&#125; &amp;#36;"), "{{X}} &#36;", results);
 
   // Empty/null
   const result5 = htmlToPlainText_(null);
@@ -292,3 +1216,67 @@ function testHtmlToPlainText(results) {
   const newlineCount = (result8.match(/\n/g) || []).length;
   assert("Multiple newlines collapsed to max 2", newlineCount <= 2, true, results);
 }
+
+/**
+ * Tests for applyTemplateBlocks_ and block validation
+ */
+function testTemplateBlocks(results) {
+  const context = { variables: { Region: "APAC", Incidents: "0" } };
+
+  // Simple IF / ELSE
+  const result1 = applyTemplateBlocks_("{{#IF Region = APAC}}Yes{{#ELSE}}No{{/IF}}", context);
+  assert("IF picks true branch", result1, "Yes", results);
+
+  const result2 = applyTemplateBlocks_("{{#IF Region = EMEA}}Yes{{#ELSE}}No{{/IF}}", context);
+  assert("IF picks ELSE branch", result2, "No", results);
+
+  // Truthiness
+  const result3 = applyTemplateBlocks_("A{{#IF Incidents}} - incidents{{/IF}}", context);
+  assert("Zero value is falsy", result3, "A", results);
+
+  // Spanning paragraphs, standalone markers removed with their paragraph
+  const html = "<p>{{#IF NOT Region = EMEA}}</p><p>One</p><p>Two</p><p>{{/IF}}</p><p>End</p>";
+  const result4 = applyTemplateBlocks_(html, context);
+  assert("Block spans paragraphs", result4, "<p>One</p><p>Two</p><p>End</p>", results);
+
+  // Formatting and entities inside markers are healed
+  const result5 = applyTemplateBlocks_("{{<b>#IF</b> 10 &gt; 9}}ok{{/IF}}", context);
+  assert("Healed marker with entity", result5, "ok", results);
+
+  // Nested blocks
+  const result6 = applyTemplateBlocks_("{{#IF 1 = 1}}a{{#IF 1 = 2}}b{{#ELSE}}c{{/IF}}{{/IF}}", context);
+  assert("Nested blocks", result6, "ac", results);
+
+  // Date comparison
+  const result7 = evaluateCondition_("DATE:Tomorrow > DATE:Today", context);
+  assert("Date comparison", result7, true, results);
+
+  // AND / OR
+  assert("AND / OR", evaluateCondition_("1 = 2 OR Region = apac AND 5 >= 5", context), true, results);
+
+  // Unbalanced blocks are left untouched and reported
+  const result8 = applyTemplateBlocks_("{{#IF 1 = 1}}open", context);
+  assert("Unbalanced block left as-is", result8, "{{#IF 1 = 1}}open", results);
+  assert("Unclosed block reported", validateBlockTags_("{{#IF 1 = 1}}open").length, 1, results);
+  assert("Stray ELSE reported", validateBlockTags_("text {{#ELSE}}").length, 1, results);
+  assert("Missing operand reported", validateBlockTags_("{{#IF Region =}}x{{/IF}}").length, 1, results);
+  assert("Valid blocks pass", validateBlockTags_("{{#IF WEEKDAY = Friday}}x{{#ELSE}}y{{/IF}}").length, 0, results);
+  assert("Unspaced operator reported", validateBlockTags_("{{#IF DAY>25}}x{{/IF}}").length, 1, results);
+  assert("Sheet URL in CELL operand passes", validateBlockTags_("{{#IF CELL:https://docs.google.com/spreadsheets/d/1AbCdEfGhIjKlMnOpQrStUvWxYz/edit#gid=0, B2}}x{{/IF}}").length, 0, results);
+  assert("Sheet URL in NAMED operand passes", validateBlockTags_("{{#IF NAMED:https://docs.google.com/spreadsheets/d/1AbCdEfGhIjKlMnOpQrStUvWxYz/edit#gid=0, Ticket_Count}}x{{/IF}}").length, 0, results);
+  assert("Operand prefix parsed", parseConditionOperand_("named:Ticket_Count"), { prefix: "NAMED", argument: "Ticket_Count" }, results);
+  assert("Unknown prefix is not an operand", parseConditionOperand_("Region:APAC"), null, results);
+
+  // EACH: row variables
+  const result9 = substituteRowVariables_("{{Owner}} - {{<b>Due Date</b>}} {{DATE:Today}}", { Owner: "A<B", "Due Date": "1 Mar" });
+  assert("Row variables substituted and escaped", result9, "A&lt;B - 1 Mar {{DATE:Today}}", results);
+
+  // EACH: a block wrapping a whole table row repeats the row
+  const row = "<tr><td><p>{{#EACH Sheet: ID, range: A1:B5}}{{Owner}}</p></td><td><p>{{Ticket}}{{/EACH}}</p></td></tr>";
+  const result10 = hoistWrappedBlocks_(row);
+  assert("Row-level block hoisted", result10, "{{#EACH Sheet: ID, range: A1:B5}}<tr><td><p>{{Owner}}</p></td><td><p>{{Ticket}}</p></td></tr>{{/EACH}}", results);
+
+  // EACH: source validation
+  assert("EACH source validated", validateBlockTags_("{{#EACH range: A1}}x{{/EACH}}").length, 1, results);
+  assert("Mismatched close reported", validateBlockTags_("{{#EACH Sheet: 1AbCdEfGhIjKlMnOpQrStUvWxYz, range: A1:B2}}x{{/IF}}").length, 2, results);
+}